@@ -1,31 +1,214 @@
+import { randomBytes } from 'crypto'
+import { createWriteStream } from 'fs'
 import fs from 'fs/promises'
 import path from 'path'
 import { pipeline } from 'stream/promises'
 import { fileURLToPath } from 'url'
 import {
+  ArchiveHttpMethodHandler,
+  ChecksumHttpMethodHandler,
   DirectoryHttpMethodHandler,
   NotFoundHttpMethodHandler,
+  ForbiddenHttpMethodHandler,
   FileHttpMethodHandler 
 } from './src/handlers.mjs'
 import HttpServer from './src/http/http-server.mjs'
+import HttpCache from './src/http/http-cache.mjs'
+import HttpDigest from './src/http/http-digest.mjs'
+import HttpError from './src/http/http-error.mjs'
+import HttpErrorPages from './src/http/http-error-pages.mjs'
 import HttpForm from './src/http/http-form.mjs'
 import HttpLogger from './src/http/http-logger.mjs'
-import { moveFile, STAT_FILTER } from './src/util.mjs'
+import HttpMetrics from './src/http/http-metrics.mjs'
+import HttpAuth from './src/http/http-auth.mjs'
+import HttpTus from './src/http/http-tus.mjs'
+import MimeTypes from './src/mime-types.mjs'
+import OptionSchema from './src/option-schema.mjs'
+import RotatingFile from './src/rotating-file.mjs'
+import WebDav from './src/webdav.mjs'
+import {
+  acceptQuality,
+  Conflict,
+  makeStagingDir,
+  moveFile,
+  removeTemporaryFiles,
+  resolvePathname,
+  STAGING_DIRNAME,
+  STAT_FILTER,
+} from './src/util.mjs'
 
 /**
  * @typedef HeaderInfo
- * @property {string} pathname Relative path to the file.
+ * @property {URL} url Parsed request URL.
+ * @property {string} root Absolute path to the served directory.
+ * @property {string|null} pathname Absolute path to the file or null if the request path escapes the root directory.
  * @property {import('fs').Stats|null} stats Files stats or null if pathname represent a regular file or a directory.
  */
 
 /**
  * @typedef ConfigArgs
+ * @property {string} [root] Served directory.
+ * @property {string} [mimeTypes] JSON file of MIME types by extension.
+ * @property {string} [errorPages] Directory of the custom error page templates.
  * @property {object} listen Server listening options.
  * @property {string} [listen.host] Server host.
  * @property {number} [listen.port] Server port.
+ * @property {string} [htpasswd] File of the users and their password hashes.
+ * @property {string} [access] JSON file of the access rules.
+ * @property {string} [hashPassword] Print the htpasswd line of this user and exit.
+ * @property {boolean} [http2] Use HTTP/2 with HTTP/1.1 fallback.
+ * @property {number} [redirectPort] Port of the HTTP server which redirects to HTTPS.
+ * @property {object} tls TLS options, the server uses HTTPS if a certificate is given.
+ * @property {string} [tls.cert] Certificate file.
+ * @property {string} [tls.key] Private key file.
+ * @property {string} [tls.ca] Certificate authority file.
+ * @property {string} [tls.passphrase] Private key passphrase.
+ * @property {Partial<import('./src/http/http-form.mjs').FormLimits>} limits Upload limits.
+ * @property {object} uploads Resumable uploads options.
+ * @property {string} [uploads.dir] Staging directory of the partial uploads.
+ * @property {number} [uploads.expiration] Time in milliseconds after which an abandoned upload is removed.
+ * @property {string} [conflict] Policy if an uploaded file already exists: 'reject', 'overwrite' or 'rename'.
+ * @property {boolean} [downloadDigest] Send the digest of every full file download.
  * @property {object} log Logging options.
  * @property {number} [log.level] Logging level.
+ * @property {string} [log.format] Format of the access log.
+ * @property {string} [log.file] Access log file.
+ * @property {Partial<import('./src/rotating-file.mjs').RotatingFileOptions>} [log.rotation] Access log file rotation.
+ * @property {object} metrics Metrics options.
+ * @property {boolean} [metrics.enabled] Serve the metrics with the files.
+ * @property {number} [metrics.port] Serve the metrics on a separate port.
+ * @property {string} [metrics.host] Listening host of the metrics port.
+ * @property {string} [config] JSON configuration file.
+ * @property {boolean} [help] Print the usage and exit.
+ */
+
+/**
+ * Command line options, also read from the 'SIMPLE_HTTP_*' environment variables and from the configuration file.
+ */
+const OPTIONS = new OptionSchema([
+  {
+    name: 'host', alias: 'H', type: 'string', key: 'listen.host', arg: 'HOST',
+    description: 'Listening host', default: HttpServer.listenOptions().host,
+  },
+  {
+    name: 'port', alias: 'p', type: 'integer', key: 'listen.port', arg: 'PORT', max: 65535,
+    description: 'Listening port, 0 for a random one', default: HttpServer.listenOptions().port,
+  },
+  {
+    name: 'level', alias: 'l', type: 'enum', key: 'log.level', arg: 'LEVEL', values: [...HttpLogger.LEVELS],
+    transform: level => HttpLogger.LEVELS[level],
+    description: `Logging level: ${[...HttpLogger.LEVELS].join(', ')}`,
+    default: HttpLogger.LEVELS[HttpLogger.getOptions().level],
+  },
+  {
+    name: 'log-format', type: 'enum', key: 'log.format', values: HttpLogger.FORMATS,
+    description: 'Format of the access log', default: HttpLogger.getOptions().format,
+  },
+  { name: 'log-file', type: 'string', key: 'log.file', arg: 'FILE', description: 'Access log file, stdout by default' },
+  {
+    name: 'log-max-size', type: 'size', key: 'log.rotation.maxSize', min: 1,
+    description: 'Rotate the access log file from this size',
+  },
+  {
+    name: 'log-interval', type: 'enum', key: 'log.rotation.interval', values: RotatingFile.INTERVALS,
+    description: 'Rotate the access log file every hour or every day',
+  },
+  {
+    name: 'log-keep', type: 'integer', key: 'log.rotation.keep', arg: 'COUNT',
+    description: 'Number of rotated access log files kept', default: RotatingFile.getOptions().keep,
+  },
+  { name: 'root', alias: 'r', type: 'string', arg: 'DIR', description: 'Served directory', default: '.' },
+  {
+    name: 'mime-types', alias: 'm', type: 'string', arg: 'FILE',
+    description: 'JSON file of MIME types by extension',
+  },
+  {
+    name: 'error-pages', type: 'string', arg: 'DIR',
+    description: 'Directory of the custom error pages: <status>.html or error.html',
+  },
+  {
+    name: 'config', type: 'string', arg: 'FILE', sources: [OptionSchema.SOURCES.ARGS, OptionSchema.SOURCES.ENV],
+    description: 'JSON configuration file',
+  },
+  { name: 'cert', type: 'string', key: 'tls.cert', arg: 'FILE', description: 'Certificate file, enables HTTPS' },
+  { name: 'key', type: 'string', key: 'tls.key', arg: 'FILE', description: 'Private key file' },
+  { name: 'ca', type: 'string', key: 'tls.ca', arg: 'FILE', description: 'Certificate authority file' },
+  {
+    name: 'passphrase', type: 'string', key: 'tls.passphrase', arg: 'PASSPHRASE',
+    description: 'Private key passphrase',
+  },
+  {
+    name: 'redirect-port', type: 'integer', arg: 'PORT', max: 65535,
+    description: 'Port of a HTTP server which redirects to HTTPS',
+  },
+  { name: 'http2', type: 'boolean', description: 'Use HTTP/2 with HTTP/1.1 fallback' },
+  { name: 'htpasswd', type: 'string', arg: 'FILE', description: 'File of the users and their password hashes' },
+  { name: 'access', type: 'string', arg: 'FILE', description: 'JSON file of the access rules' },
+  {
+    name: 'max-file-size', type: 'size', key: 'limits.fileSize',
+    description: 'Maximum size of an uploaded file',
+  },
+  {
+    name: 'max-request-size', type: 'size', key: 'limits.requestSize',
+    description: 'Maximum size of an upload request',
+  },
+  {
+    name: 'max-parts', type: 'integer', key: 'limits.parts', arg: 'COUNT', min: 1,
+    description: 'Maximum number of parts of a form',
+  },
+  {
+    name: 'min-free-space', type: 'size', key: 'limits.freeSpace',
+    description: 'Disk space kept free by the uploads',
+  },
+  {
+    name: 'upload-dir', type: 'string', key: 'uploads.dir', arg: 'DIR',
+    description: 'Staging directory of the resumable uploads', default: HttpTus.getOptions().dir,
+  },
+  {
+    name: 'upload-expiration', type: 'integer', key: 'uploads.expiration', arg: 'SECONDS', min: 1,
+    transform: seconds => seconds * 1000,
+    description: 'Time after which an abandoned resumable upload is removed',
+    default: HttpTus.getOptions().expiration / 1000,
+  },
+  {
+    name: 'conflict', type: 'enum', values: Object.values(Conflict),
+    description: 'Policy if an uploaded file already exists', default: Conflict.REJECT,
+  },
+  {
+    name: 'download-digest', type: 'boolean',
+    description: 'Send the Digest header of every full file download, not only when the client asks for it',
+  },
+  {
+    name: 'metrics', type: 'boolean', key: 'metrics.enabled',
+    description: `Serve the metrics at ${HttpMetrics.getOptions().path}, behind the access rules`,
+  },
+  {
+    name: 'metrics-port', type: 'integer', key: 'metrics.port', arg: 'PORT', max: 65535,
+    description: 'Serve the metrics on this port instead',
+  },
+  {
+    name: 'metrics-host', type: 'string', key: 'metrics.host', arg: 'HOST',
+    description: 'Listening host of the metrics port', default: '127.0.0.1',
+  },
+  {
+    name: 'hash-password', type: 'string', arg: 'USER', sources: [OptionSchema.SOURCES.ARGS],
+    description: 'Print the htpasswd line of USER with the password read from stdin, then exit',
+  },
+  {
+    name: 'help', alias: 'h', type: 'boolean', sources: [OptionSchema.SOURCES.ARGS],
+    description: 'Print this help, then exit',
+  },
+], 'SIMPLE_HTTP_')
+
+/**
+ * Name of the form field and of the query parameter which choose the conflict policy of an upload.
  */
+const CONFLICT_PARAM = 'conflict'
+
+/**
+ * Regular expression of the content type of the forms.
+ */
+const REG_EXP_MULTIPART = /^\s*multipart\/form-data\s*(;|$)/i
 
 /**
  * Try to get file stat.
@@ -42,80 +225,119 @@ async function tryStats(pathname) {
   }
 }
 
+/**
+ * Write the content of a request to a file.
+ * The content goes to a temporary file of the staging directory which is then renamed,
+ * so the readers never see a partial file.
+ * @param {import('http').IncomingMessage} req HTTP request.
+ * @param {string} pathname Absolute path of the file.
+ * @param {object} options Writing options.
+ * @param {string} options.root Absolute path of the served directory, which holds the staging directory.
+ * @param {number} options.maxSize Maximum size of the content in bytes.
+ * @param {boolean} options.createOnly Fail if the file already exists.
+ * @param {() => Promise<boolean>} options.isPreconditionFailed Test the preconditions of the request again
+ * once the content is received, right before the file is replaced. It is best-effort: the file may still change
+ * between this test and the rename.
+ * @returns {Promise<HttpDigest>} Digest of the content.
+ * @throws {HttpError} 400 if the content does not match 'Content-Length' or its digest, or if its digest cannot be
+ * verified, 413 if it is too large or 412 if the file must be created and already exists
+ * or if it has changed.
+ */
+async function writeBody(req, pathname, { root, maxSize, createOnly, isPreconditionFailed }) {
+  const expected = req.headers['content-length'] === undefined ? null : Number(req.headers['content-length'])
+  if (expected !== null && !Number.isSafeInteger(expected)) {
+    throw new HttpError(400, 'Invalid Content-Length')
+  }
+  if (expected > maxSize) {
+    throw new HttpError(413, 'Request content is too large')
+  }
+  if (HttpDigest.isUnverifiable(req.headers)) {
+    throw new HttpError(400, 'Unsupported digest algorithm')
+  }
+  const digests = HttpDigest.fromHeaders(req.headers)
+  const tmp = path.join(await makeStagingDir(root), `${randomBytes(8).toString('hex')}.part`)
+  const hashes = HttpDigest.createHashes([HttpDigest.DEFAULT_ALGORITHM, ...digests.map(d => d.algorithm)])
+  let size = 0
+  const count = async function* (source) {
+    for await (const chunk of source) {
+      size += chunk.length
+      hashes.forEach(hash => hash.update(chunk))
+      if (size > maxSize) {
+        throw new HttpError(413, 'Request content is too large')
+      }
+      yield chunk
+    }
+  }
+  try {
+    await pipeline(req, count, createWriteStream(tmp, { flags: 'wx' }))
+    if (expected !== null && size !== expected) {
+      throw new HttpError(400, 'Request content does not match Content-Length')
+    }
+    const computed = HttpDigest.fromHashes(hashes)
+    if (!HttpDigest.verifyAll(computed, digests)) {
+      throw new HttpError(400, 'Request content does not match its digest')
+    }
+    if (await isPreconditionFailed()) {
+      throw new HttpError(412, `${path.basename(pathname)} has changed`)
+    }
+    try {
+      await moveFile(tmp, pathname, createOnly ? Conflict.REJECT : Conflict.OVERWRITE)
+    } catch (error) {
+      throw error.code === 'EEXIST' ? new HttpError(412, `${path.basename(pathname)} already exists`) : error
+    }
+    return computed[0]
+  } finally {
+    await fs.rm(tmp, { force: true })
+  }
+}
+
 /**
  * Print usage and exit.
- * @param {number} code Exit code
+ * @param {number} code Exit code, the usage goes to the standard output if it is 0, otherwise to the error output.
  * @returns {void}
  * @see {@link Process#exit}
  */
 function usage(code) {
   const printer = code === 0 ? console.log : console.error
-  const httpOptions = HttpServer.listenOptions()
-  const loggerOptions = HttpLogger.getOptions()
-  const prgm = path.basename(process.argv[1])
-  const formatter = arg => printer(`  ${prgm} ${arg}`)
-  printer('Usage:')
-  formatter(`[(-H --host) HOST=${httpOptions.host}]`)
-  formatter(`[(-p --port) PORT=${httpOptions.port}]`)
-  formatter(`[(-l --level) LEVEL=${loggerOptions.level}]`)
-  formatter('(-h --help)')
+  for (const line of OPTIONS.usage(path.basename(process.argv[1]))) {
+    printer(line)
+  }
   process.exit(code)
 }
 
 /**
- * Read command line arguments.
+ * Read the configuration from the command line arguments, the 'SIMPLE_HTTP_*' environment variables
+ * and the configuration file.
+ * Print the errors and the usage, then exit if the configuration is invalid.
  * @param {string[]} args Command line arguments.
- * @returns {ConfigArgs} Parsed arguments.
+ * @returns {Promise<ConfigArgs>} Merged configuration.
  */
-function readArgs(args) {
+async function readArgs(args) {
+  const { config: loaded, errors } = await OPTIONS.load(args, process.env)
   const config = {
     listen: {},
+    tls: {},
+    limits: {},
+    uploads: {},
     log: {},
+    metrics: {},
+    ...loaded,
   }
-  let hasError = false
-  let arg
-  while (args.length > 0) {
-    switch (arg = args.shift()) {
-      case '--port':
-      case '-p':
-        const port = parseInt(args.shift())
-        if (port === NaN || port < 0 || port >= 65536) {
-          console.error('PORT should be >= 0 and < 65536')
-          hasError = true
-        } else {
-          config.listen.port = port
-        }
-        break
-
-      case '--host':
-      case '-H':
-        config.listen.host = args.shift()
-        break
-
-      case '-l':
-      case '--level':
-        const level = args.shift()
-        if (typeof HttpLogger.LEVELS[level] !== 'number') {
-          console.error('Undefined log level', level)
-          hasError = true
-        } else {
-          config.log.level = HttpLogger.LEVELS[level]
-        }
-        break
-
-      case '-h':
-      case '--help':
-        usage(console.log, 0)
-        break
-
-      default:
-        console.error(`Invalid arg: ${arg}`)
-        hasError = true
-        break
-    }
+  if (config.help) {
+    usage(0)
+  }
+  if ((config.tls.cert === undefined) !== (config.tls.key === undefined)) {
+    errors.push('--cert and --key must be given together')
+  }
+  if (config.redirectPort !== undefined && config.tls.cert === undefined) {
+    errors.push('--redirect-port requires --cert and --key')
+  }
+  if (config.http2 && config.tls.cert === undefined) {
+    errors.push('--http2 requires --cert and --key')
   }
-  if (hasError) {
-    usage(console.error, 1)
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(error))
+    usage(1)
   }
   return config
 }
@@ -125,77 +347,382 @@ function readArgs(args) {
  * @param {string[]} args Command line arguments.
  */
 async function main(args) {
-  args = readArgs(args)
+  args = await readArgs(args)
+  if (args.hashPassword !== undefined) {
+    const chunks = []
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk)
+    }
+    const password = Buffer.concat(chunks).toString('utf-8').replace(/\r?\n$/, '')
+    console.log('%s:%s', args.hashPassword, await HttpAuth.hashPassword(password))
+    return
+  }
+  const root = path.resolve(args.root ?? '.')
+  const conflict = args.conflict ?? Conflict.REJECT
+  const downloadDigest = args.downloadDigest ?? false
+  const rootStats = await tryStats(root)
+  if (rootStats === null || !rootStats.isDirectory()) {
+    console.error(`${root} is not a directory`)
+    process.exit(1)
+  }
+  let mimeTypes
+  try {
+    mimeTypes = args.mimeTypes === undefined ? new MimeTypes() : await MimeTypes.fromFile(args.mimeTypes)
+  } catch (error) {
+    console.error(`Cannot read the MIME types from ${args.mimeTypes}: ${error.message}`)
+    process.exit(1)
+  }
+  let tls = null
+  if (args.tls.cert !== undefined) {
+    try {
+      tls = {
+        cert: await fs.readFile(args.tls.cert),
+        key: await fs.readFile(args.tls.key),
+        ca: args.tls.ca === undefined ? undefined : await fs.readFile(args.tls.ca),
+        passphrase: args.tls.passphrase,
+      }
+    } catch (error) {
+      console.error(`Cannot read the TLS files: ${error.message}`)
+      process.exit(1)
+    }
+  }
+  let auth = null
+  if (args.htpasswd !== undefined || args.access !== undefined) {
+    try {
+      auth = await HttpAuth.fromFiles(args.htpasswd, args.access)
+    } catch (error) {
+      console.error(`Cannot read the authentication files: ${error.message}`)
+      process.exit(1)
+    }
+  }
   const infoSymbol = Symbol('info')
   const server = new HttpServer({
-    methods: ['POST', 'PUT'],
+    methods: ['POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'PROPFIND', 'MKCOL', 'COPY', 'MOVE'],
+    tls,
+    http2: args.http2,
+  })
+  const logOptions = HttpLogger.getOptions({ ...args.log })
+  const logger = new HttpLogger(logOptions)
+  if (logOptions.file !== null) {
+    // Like most daemons, SIGHUP reopens the log file moved by logrotate
+    process.on('SIGHUP', () => logger.reopen())
+  }
+  // The uploads interrupted by a stop or a crash leave their temporary files in the staging directory
+  removeTemporaryFiles(path.join(root, STAGING_DIRNAME), Date.now())
+    .then(count => {
+      if (count > 0) {
+        logger.info('Removed %d temporary files of interrupted uploads', count)
+      }
+    })
+    .catch(error => logger.error('Cannot remove the temporary files of interrupted uploads: %s', error.message))
+  const dav = new WebDav(root, mimeTypes, auth)
+  const tus = new HttpTus({
+    ...args.uploads,
+    maxSize: args.limits.fileSize,
+    logger,
+    onComplete: async upload => {
+      let pathname
+      try {
+        pathname = await moveFile(upload.path, path.join(upload.directory, upload.filename), conflict)
+      } catch (error) {
+        throw error.code === 'EEXIST' ? new HttpError(409, `${upload.filename} already exists`) : error
+      }
+      mimeTypes.remember(pathname, upload.contentType)
+      logger.info('%s %s', 'PATCH', pathname)
+    },
   })
-  const logger = new HttpLogger(args.log)
-  const headHandler = (req, res) => {
+  try {
+    await tus.init()
+  } catch (error) {
+    console.error(`Cannot create the upload directory ${tus.options.dir}: ${error.message}`)
+    process.exit(1)
+  }
+  const errorPages = new HttpErrorPages({ dir: args.errorPages ?? null, logger })
+  try {
+    await errorPages.init()
+  } catch (error) {
+    console.error(`Cannot read the error pages: ${error.message}`)
+    process.exit(1)
+  }
+  const headHandler = async (req, res) => {
     const info = req[infoSymbol]
-    const args = { res, req, info }
-    const handler = info.stats === null ? new NotFoundHttpMethodHandler(args)
-      : info.stats.isDirectory() ? new DirectoryHttpMethodHandler(args)
-        : info.stats.isFile() ? new FileHttpMethodHandler(args)
+    const args = { res, req, info, mimeTypes, auth, downloadDigest, logger }
+    const handler = info.pathname === null ? new ForbiddenHttpMethodHandler(args)
+      : info.stats === null ? new NotFoundHttpMethodHandler(args)
+      : info.stats.isDirectory() ? (info.url.searchParams.has('download')
+        ? new ArchiveHttpMethodHandler(args)
+        : new DirectoryHttpMethodHandler(args))
+        : info.stats.isFile() ? (info.url.searchParams.has('checksum')
+          ? new ChecksumHttpMethodHandler(args)
+          : new FileHttpMethodHandler(args))
           : new NotFoundHttpMethodHandler(args)
-    handler.prepare(res)
+    await handler.prepare(res)
     return handler
   }
-  const reveiveFile = async (res, req, form, pathname, method) => {
-    const files = form.files.map(f => ({ path: f.path, pathname: path.join(pathname, f.filename) }))
+  /**
+   * Set the response status code if the requested file cannot be handled.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @param {HeaderInfo} info Requested file information.
+   * @returns {boolean} true if the request has been rejected, otherwise false.
+   */
+  const reject = (res, { pathname, stats }) => {
+    if (pathname === null) {
+      res.statusCode = 403
+    } else if (stats === null) {
+      res.statusCode = 404
+    } else {
+      return false
+    }
+    return true
+  }
+  /**
+   * Read the submitted files of a multipart/form-data request.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @returns {Promise<HttpForm>} The read form.
+   * @throws {HttpError} If the form is rejected.
+   */
+  const readForm = async (req, res) => {
+    try {
+      const form = new HttpForm(req.headers['content-type'], {
+        limits: args.limits,
+        digests: HttpDigest.fromHeaders(req.headers),
+        dir: await makeStagingDir(root),
+      })
+      if (parseInt(req.headers['content-length']) > form.limits.requestSize) {
+        throw new HttpError(413, 'Request content is too large')
+      }
+      if (HttpDigest.isUnverifiable(req.headers)) {
+        throw new HttpError(400, 'Unsupported digest algorithm')
+      }
+      await pipeline(req, form)
+      return form
+    } catch (error) {
+      if (req.httpVersionMajor < 2) {
+        // The rest of the content is not read
+        res.setHeader('Connection', 'close')
+      }
+      throw error
+    }
+  }
+  /**
+   * Create or replace a file with the content of a request.
+   * Answer 201 if the file is created, 204 if it is replaced.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @param {HeaderInfo} info Requested file information.
+   * @returns {Promise<void>}
+   */
+  const putFile = async (req, res, { url, pathname, stats }) => {
+    if (pathname === null) {
+      res.statusCode = 403
+      return
+    }
+    const parent = await tryStats(path.dirname(pathname))
+    if (stats?.isDirectory() || parent === null || !parent.isDirectory()) {
+      res.statusCode = 409
+      return
+    }
+    if (HttpCache.isPreconditionFailed(req, stats === null ? null : HttpCache.fromStats(stats))) {
+      res.statusCode = 412
+      return
+    }
+    let digest
     try {
-      await Promise.all(files.map(f => moveFile(f.path, f.pathname)))
-      logger.info(() => files.map(f => ['%s %s', method, f.pathname]))
+      digest = await writeBody(req, pathname, {
+        root,
+        maxSize: HttpForm.getLimits(args.limits).fileSize,
+        createOnly: req.headers['if-none-match']?.trim() === '*',
+        isPreconditionFailed: async () => {
+          const current = await tryStats(pathname)
+          return HttpCache.isPreconditionFailed(req, current === null ? null : HttpCache.fromStats(current))
+        },
+      })
     } catch (error) {
-      res.statusCode = 500
-      logger.error(error)
+      if (req.httpVersionMajor < 2) {
+        // The rest of the content is not read
+        res.setHeader('Connection', 'close')
+      }
+      throw error
+    }
+    mimeTypes.remember(pathname, req.headers['content-type'])
+    logger.info('%s %s', req.method, pathname)
+    HttpCache.fromStats(await fs.stat(pathname)).setHeader(res)
+    res.setHeader('Repr-Digest', digest.toString())
+    if (stats === null) {
+      res.writeHead(201, { 'location': url.pathname })
+    } else {
+      res.writeHead(204)
+    }
+  }
+  /**
+   * Move the submitted files into a directory.
+   * The conflict policy comes from the form, then from the query, then from the server options.
+   * Redirect a browser to the directory listing, the other clients get the stored files with their digests as JSON.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {HttpForm} form Read form.
+   * @param {HeaderInfo} info Requested directory information.
+   * @returns {Promise<void>}
+   */
+  const reveiveFile = async (res, req, form, { url, pathname }) => {
+    const policy = form.fields.get(CONFLICT_PARAM) ?? url.searchParams.get(CONFLICT_PARAM) ?? conflict
+    const stored = []
+    try {
+      if (!Object.values(Conflict).includes(policy)) {
+        res.statusCode = 400
+        return
+      }
+      if (policy === Conflict.REJECT) {
+        const existing = await Promise.all(form.files.map(f => tryStats(path.join(pathname, f.filename))))
+        if (existing.some(st => st !== null)) {
+          res.statusCode = 409
+          return
+        }
+      }
+      // One by one, so the files submitted with the same name are numbered in order
+      for (const file of form.files) {
+        stored.push(await file.move(path.join(pathname, file.filename), policy))
+      }
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        // A file has been created meanwhile or submitted twice, none is kept, the error pages answer 409
+        await Promise.all(stored.map(f => fs.rm(f, { force: true })))
+      }
+      throw error
     } finally {
-      await Promise.all(files.map(f => fs.rm(f.path, { force: true })))
+      await Promise.all(form.files.map(f => f.remove()))
+    }
+    stored.forEach((f, i) => mimeTypes.remember(f, form.files[i].contentType))
+    logger.info(() => stored.map(f => ['%s %s', req.method, f]))
+    const names = stored.map(f => path.basename(f))
+    const accept = req.headers.accept
+    if (acceptQuality(accept, 'application/json') > acceptQuality(accept, 'text/html')) {
+      res.writeHead(201, { 'Content-Type': 'application/json; charset=utf-8' })
+      res.end(JSON.stringify({
+        files: form.files.map((f, i) => ({
+          name: names[i],
+          size: f.size,
+          contentType: f.contentType,
+          digest: f.digest.toString(),
+        })),
+      }))
+      return
     }
     res.writeHead(303, {
       'location': req.url,
+      'Content-Type': 'text/plain; charset=utf-8',
     })
-    res.end()
+    res.end(names.map(n => n + '\n').join(''))
+  }
+  /**
+   * Store the submitted files of a multipart/form-data request into the requested directory.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @param {HeaderInfo} info Requested directory information.
+   * @returns {Promise<void>}
+   */
+  const receiveForm = async (req, res, info) => {
+    if (reject(res, info)) {
+      return
+    }
+    if (!info.stats.isDirectory()) {
+      // The files are stored into a directory, a file cannot receive them
+      res.statusCode = 409
+      return
+    }
+    await reveiveFile(res, req, await readForm(req, res), info)
+  }
+  let metrics = null
+  if (args.metrics.enabled || args.metrics.port !== undefined) {
+    metrics = new HttpMetrics({ logger })
+      .gauge('http_form_uploads_in_flight', 'Number of forms being uploaded.', () => HttpForm.usage().forms)
+      .gauge('http_form_temp_bytes', 'Size of the temporary files of the uploaded forms.', () => HttpForm.usage().bytes)
+      .gauge('http_tus_staged_bytes', 'Size of the partial resumable uploads.', () => tus.usage())
+      .mount(server)
+  }
+  server.on(logger.start)
+  if (auth !== null) {
+    server.on(auth.handler)
+  }
+  if (metrics !== null && args.metrics.port === undefined) {
+    server.get(metrics.options.path, metrics.handler)
   }
   server.on(async (req, res) => {
-    const pathname = path.join('.', decodeURIComponent(req.url))
+    const url = new URL(req.url, 'http://localhost')
+    const pathname = resolvePathname(root, url.pathname)
     req[infoSymbol] = {
+      url,
+      root,
       pathname,
-      stats: await tryStats(pathname),
+      stats: pathname === null ? null : await tryStats(pathname),
     }
   })
+    .on((req, res) => tus.handle(req, res, req[infoSymbol]))
     .head((req, res) => headHandler(req, res))
-    .get((req, res) => headHandler(req, res).send(req, res))
-    .post(async (req, res) => {
-      const { pathname, stat } = req[infoSymbol]
-      if (stat === null) {
-        res.statusCode = 404
+    .get(async (req, res) => (await headHandler(req, res)).send(req, res))
+    .post((req, res) => receiveForm(req, res, req[infoSymbol]))
+    .put(async (req, res) => {
+      const info = req[infoSymbol]
+      if (!REG_EXP_MULTIPART.test(req.headers['content-type'] ?? '')) {
+        await putFile(req, res, info)
         return
       }
-      const form = new HttpForm(req.headers['content-type'])
-      await pipeline(req, form)
-      const files = new Set(form.files.map(f => f.filename))
-      const existingFiles = (await fs.readdir(pathname)).filter(f => files.delete(f))
-      if (existingFiles.length > 0) {
-        res.statusCode = 418
-        await Promise.all(form.files.map(f => fs.rm(f.path, { force: true })))
-      } else {
-        await reveiveFile(res, req, form, pathname, req.method)
-      }
+      await receiveForm(req, res, info)
     })
-    .put(async (req, res) => {
-      const { pathname, stat } = req[infoSymbol]
-      if (stat === null) {
-        res.statusCode = 404
+    .delete(async (req, res) => {
+      const info = req[infoSymbol]
+      if (reject(res, info)) {
         return
       }
-      const form = new HttpForm(req.headers['content-type'])
-      await pipeline(req, form)
-      await reveiveFile(res, req, form, pathname, req.method)
+      const { url, pathname, stats } = info
+      if (pathname === root) {
+        res.statusCode = 403
+        return
+      }
+      // The error pages answer 409 to a non-empty directory and 404 if the file is removed meanwhile
+      if (stats.isDirectory()) {
+        // A non-empty directory is only removed if the client asks for it,
+        // a WebDAV client always does without a 'Depth' header (RFC 4918, section 9.6.1)
+        const depth = req.headers.depth?.trim().toLowerCase()
+        const recursive = url.searchParams.has('recursive') || depth === 'infinity'
+          || (depth === undefined && WebDav.isClient(req))
+        await (recursive
+          ? fs.rm(pathname, { recursive: true })
+          : fs.rmdir(pathname))
+      } else {
+        await fs.rm(pathname)
+      }
+      mimeTypes.forget(pathname)
+      logger.info('%s %s', req.method, pathname)
+      res.statusCode = 204
     })
-    .on(logger.log)
+    .options((req, res) => {
+      res.writeHead(204, {
+        'Allow': server.methods.join(', '),
+        'DAV': '1',
+      })
+    })
+    .propfind((req, res) => dav.propfind(req, res, req[infoSymbol]))
+    .mkcol((req, res) => dav.mkcol(req, res, req[infoSymbol]))
+    .copy((req, res) => dav.copy(req, res, req[infoSymbol]))
+    .move((req, res) => dav.move(req, res, req[infoSymbol]))
+    .on(errorPages.render)
+    .catch(errorPages.handler)
+    .finally(logger.log)
+  args.listen = HttpServer.listenOptions(args.listen)
   await server.listen(args.listen)
-  console.log('Web server listening on http://%s:%d', args.listen.host, args.listen.port)
+  console.log('Web server listening on %s://%s:%d serving %s',
+    server.protocol, args.listen.host, server.server.address().port, root)
+  if (args.redirectPort !== undefined) {
+    await server.listenRedirect({ host: args.listen.host, port: args.redirectPort })
+    console.log('Redirecting http://%s:%d to HTTPS', args.listen.host, args.redirectPort)
+  }
+  if (metrics !== null && args.metrics.port !== undefined) {
+    const host = args.metrics.host ?? '127.0.0.1'
+    await metrics.listen({ host, port: args.metrics.port })
+    console.log('Metrics served on http://%s:%d%s', host, metrics.server.address().port, metrics.options.path)
+  }
 }
 
 // Did the user call me in the first place?
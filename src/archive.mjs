@@ -0,0 +1,497 @@
+import * as fs from 'fs/promises'
+import * as path from 'path'
+import { pipeline, Readable, Transform } from 'stream'
+import * as zlib from 'zlib'
+import { STAT_FILTER } from './util.mjs'
+
+/**
+ * Size of a tar block.
+ */
+const BLOCK_SIZE = 512
+
+/**
+ * Largest value of a 32 bits field of a ZIP archive, larger values need ZIP64.
+ */
+const ZIP32_MAX = 0xffffffff
+
+/**
+ * CRC-32 lookup table.
+ */
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c
+})
+
+/**
+ * File found while walking a directory.
+ * @typedef ArchiveEntry
+ * @property {string} name Path relative to the archived directory, with '/' separators.
+ * @property {string} pathname Absolute path of the file.
+ * @property {import('fs').Stats} stats File stats.
+ * @property {import('fs/promises').FileHandle} [handle] Handle of the opened file, closed once the next entry is read.
+ */
+
+/**
+ * Archive options.
+ * @typedef ArchiveOptions
+ * @property {boolean} [hidden] Archive the hidden files (starting with a dot).
+ * @property {(pathname: string) => boolean} [allowed] Test if a file can be archived by its absolute path,
+ * like the access rules of the user. The other files are skipped, and so is the content of the directories.
+ * @property {Pick<Console, 'error'>} [logger] Logger of the files which cannot be read once archiving has started.
+ */
+
+/**
+ * Update a CRC-32 with a chunk.
+ * @param {Buffer} buf Chunk.
+ * @param {number} crc Previous CRC-32.
+ * @returns {number} Updated CRC-32.
+ */
+function crc32(buf, crc = 0) {
+  crc = ~crc
+  for (let i = 0; i < buf.length; i++) {
+    crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return ~crc >>> 0
+}
+
+/**
+ * Read the sorted entries of a directory, with the same filters as the directory listings.
+ * @param {string} dir Absolute path of the directory.
+ * @param {ArchiveOptions} options Archive options.
+ * @returns {Promise<import('fs').Dirent[]|null>} Directory entries, null if the directory cannot be read.
+ */
+async function readDir(dir, options) {
+  try {
+    return (await fs.readdir(dir, { withFileTypes: true }))
+      .filter(STAT_FILTER)
+      .filter(f => options.hidden || !f.name.startsWith('.'))
+      .sort((f1, f2) => f1.name.localeCompare(f2.name))
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Walk a directory tree depth-first, with the same filters as the directory listings.
+ * A directory is read and a file is opened before its entry is yielded, so the unreadable ones are skipped
+ * like the denied ones, before any of their header is written.
+ * @param {string} dir Absolute path of the walked directory.
+ * @param {ArchiveOptions} options Archive options.
+ * @param {string} [prefix] Relative path of the directory into the archive.
+ * @param {import('fs').Dirent[]|null} [dirents] Entries of the directory, if already read.
+ * @returns {AsyncGenerator<ArchiveEntry, void, unknown>} Files and directories.
+ */
+async function* walk(dir, options, prefix = '', dirents = undefined) {
+  for (const dirent of dirents ?? await readDir(dir, options) ?? []) {
+    const pathname = path.join(dir, dirent.name)
+    if (options.allowed !== undefined && !options.allowed(pathname)) {
+      continue
+    }
+    const name = prefix + dirent.name
+    let handle
+    try {
+      handle = await fs.open(pathname, fs.constants.O_RDONLY | fs.constants.O_NONBLOCK)
+    } catch (error) {
+      // Removed since readdir or unreadable
+      continue
+    }
+    let stats
+    try {
+      stats = await handle.stat()
+    } catch (error) {
+      stats = null
+    }
+    if (stats?.isFile()) {
+      try {
+        yield { name, pathname, stats, handle }
+      } finally {
+        await handle.close()
+      }
+      continue
+    }
+    await handle.close()
+    if (stats?.isDirectory()) {
+      const children = await readDir(pathname, options)
+      if (children !== null) {
+        yield { name: name + '/', pathname, stats }
+        yield* walk(pathname, options, name + '/', children)
+      }
+    }
+  }
+}
+
+/**
+ * Read a file from its handle.
+ * A read error is logged and ends the file early, so the archive stays well-formed.
+ * @param {ArchiveEntry} entry Archived file.
+ * @param {ArchiveOptions} options Archive options.
+ * @param {number} [end] Offset of the last byte to read.
+ * @returns {AsyncGenerator<Buffer, void, unknown>} File chunks.
+ */
+async function* readFile({ pathname, handle }, options, end = Infinity) {
+  try {
+    yield* handle.createReadStream({ start: 0, end, autoClose: false })
+  } catch (error) {
+    (options.logger ?? console).error('Cannot archive %s: %s', pathname, error.message)
+  }
+}
+
+/**
+ * Read at most 'size' bytes of a file, padded with zeros if the file has shrunk or cannot be read anymore.
+ * @param {ArchiveEntry} entry Archived file.
+ * @param {ArchiveOptions} options Archive options.
+ * @returns {AsyncGenerator<Buffer, void, unknown>} File chunks.
+ */
+async function* readExactly(entry, options) {
+  const size = entry.stats.size
+  let read = 0
+  if (size > 0) {
+    for await (const chunk of readFile(entry, options, size - 1)) {
+      read += chunk.length
+      yield chunk
+    }
+  }
+  if (read < size) {
+    yield Buffer.alloc(size - read)
+  }
+}
+
+/**
+ * Build a PAX extended header record: '<length> <key>=<value>\n'.
+ * @param {string} key Record key.
+ * @param {string} value Record value.
+ * @returns {Buffer} Record.
+ */
+function paxRecord(key, value) {
+  const content = ` ${key}=${value}\n`
+  const base = Buffer.byteLength(content)
+  // The length counts its own digits
+  let length = base + 1
+  while (base + String(length).length !== length) {
+    length = base + String(length).length
+  }
+  return Buffer.from(length + content)
+}
+
+/**
+ * Build a ustar header block.
+ * @param {object} header Header fields.
+ * @param {string} header.name File name, truncated to 100 bytes.
+ * @param {number} header.mode File mode.
+ * @param {number} header.size File size.
+ * @param {number} header.mtime Modification time in seconds.
+ * @param {string} header.type Type flag: '0' file, '5' directory, 'x' PAX header.
+ * @returns {Buffer} Header block.
+ */
+function tarHeader({ name, mode, size, mtime, type }) {
+  const block = Buffer.alloc(BLOCK_SIZE)
+  const octal = (value, offset, length) => {
+    block.write(value.toString(8).padStart(length - 1, '0'), offset, length - 1, 'ascii')
+  }
+  Buffer.from(name).copy(block, 0, 0, 100)
+  octal(mode & 0o7777, 100, 8)
+  octal(0, 108, 8)
+  octal(0, 116, 8)
+  octal(size, 124, 12)
+  octal(mtime, 136, 12)
+  block.fill(' ', 148, 156)
+  block.write(type, 156, 1, 'ascii')
+  block.write('ustar\0' + '00', 257, 8, 'ascii')
+  let checksum = 0
+  for (const byte of block) {
+    checksum += byte
+  }
+  block.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii')
+  return block
+}
+
+/**
+ * Generate a tar archive of a directory (POSIX pax format).
+ * @param {string} dir Absolute path of the archived directory.
+ * @param {ArchiveOptions} options Archive options.
+ * @returns {AsyncGenerator<Buffer, void, unknown>} Archive chunks.
+ */
+async function* tar(dir, options) {
+  for await (const entry of walk(dir, options)) {
+    const { name, stats } = entry
+    const directory = stats.isDirectory()
+    const size = directory ? 0 : stats.size
+    const mtime = Math.floor(stats.mtimeMs / 1000)
+    const records = []
+    if (Buffer.byteLength(name) > 100 || !/^[\x20-\x7e]*$/.test(name)) {
+      records.push(paxRecord('path', name))
+    }
+    if (size > 0o77777777777) {
+      records.push(paxRecord('size', String(size)))
+    }
+    if (records.length > 0) {
+      const pax = Buffer.concat(records)
+      yield tarHeader({ name: 'PaxHeader', mode: 0o644, size: pax.length, mtime, type: 'x' })
+      yield pax
+      yield Buffer.alloc((BLOCK_SIZE - pax.length % BLOCK_SIZE) % BLOCK_SIZE)
+    }
+    yield tarHeader({
+      name,
+      mode: stats.mode,
+      size: size > 0o77777777777 ? 0 : size,
+      mtime,
+      type: directory ? '5' : '0',
+    })
+    if (!directory) {
+      yield* readExactly(entry, options)
+      yield Buffer.alloc((BLOCK_SIZE - size % BLOCK_SIZE) % BLOCK_SIZE)
+    }
+  }
+  // End of archive: two empty blocks
+  yield Buffer.alloc(BLOCK_SIZE * 2)
+}
+
+/**
+ * Convert a date to the MS-DOS date and time format.
+ * @param {Date} date Date to convert.
+ * @returns {{ time: number, date: number }} MS-DOS time and date.
+ */
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980)
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  }
+}
+
+/**
+ * Compress a file with deflate and compute its CRC-32.
+ * @param {ArchiveEntry} entry Archived file.
+ * @param {ArchiveOptions} options Archive options.
+ * @param {{ crc: number, size: number, compressedSize: number }} result Filled while the file is read.
+ * @returns {AsyncGenerator<Buffer, void, unknown>} Compressed chunks.
+ */
+async function* deflateFile(entry, options, result) {
+  const checksum = new Transform({
+    transform(chunk, encoding, callback) {
+      result.crc = crc32(chunk, result.crc)
+      result.size += chunk.length
+      callback(null, chunk)
+    },
+  })
+  const deflate = pipeline(Readable.from(readFile(entry, options)), checksum, zlib.createDeflateRaw(), () => undefined)
+  for await (const chunk of deflate) {
+    result.compressedSize += chunk.length
+    yield chunk
+  }
+}
+
+/**
+ * Generate a ZIP archive of a directory.
+ * The entries are streamed with data descriptors, ZIP64 is used for the large files and archives.
+ * @param {string} dir Absolute path of the archived directory.
+ * @param {ArchiveOptions} options Archive options.
+ * @returns {AsyncGenerator<Buffer, void, unknown>} Archive chunks.
+ */
+async function* zip(dir, options) {
+  const central = []
+  let offset = 0
+  for await (const entry of walk(dir, options)) {
+    const { name, stats } = entry
+    const directory = stats.isDirectory()
+    const nameBuf = Buffer.from(name)
+    const { time, date } = dosDateTime(stats.mtime)
+    // Compressed data may be a little larger than the file
+    const zip64 = !directory && stats.size >= ZIP32_MAX - 0x1000000
+    const mtime = Math.floor(stats.mtimeMs / 1000)
+    const timestamp = Buffer.alloc(9)
+    timestamp.writeUInt16LE(0x5455, 0)
+    timestamp.writeUInt16LE(5, 2)
+    timestamp.writeUInt8(1, 4)
+    timestamp.writeUInt32LE(mtime >>> 0, 5)
+    const localExtra = zip64 ? Buffer.concat([timestamp, Buffer.from([1, 0, 16, 0]), Buffer.alloc(16)]) : timestamp
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(zip64 ? 45 : 20, 4)
+    // Bit 3: sizes in the data descriptor, bit 11: UTF-8 names
+    local.writeUInt16LE(directory ? 0x0800 : 0x0808, 6)
+    local.writeUInt16LE(directory ? 0 : 8, 8)
+    local.writeUInt16LE(time, 10)
+    local.writeUInt16LE(date, 12)
+    local.writeUInt32LE(0, 14)
+    local.writeUInt32LE(zip64 ? ZIP32_MAX : 0, 18)
+    local.writeUInt32LE(zip64 ? ZIP32_MAX : 0, 22)
+    local.writeUInt16LE(nameBuf.length, 26)
+    local.writeUInt16LE(localExtra.length, 28)
+    yield local
+    yield nameBuf
+    yield localExtra
+    const result = { crc: 0, size: 0, compressedSize: 0 }
+    if (!directory) {
+      yield* deflateFile(entry, options, result)
+      const descriptor = Buffer.alloc(zip64 ? 24 : 16)
+      descriptor.writeUInt32LE(0x08074b50, 0)
+      descriptor.writeUInt32LE(result.crc, 4)
+      if (zip64) {
+        descriptor.writeBigUInt64LE(BigInt(result.compressedSize), 8)
+        descriptor.writeBigUInt64LE(BigInt(result.size), 16)
+      } else {
+        descriptor.writeUInt32LE(result.compressedSize, 8)
+        descriptor.writeUInt32LE(result.size, 12)
+      }
+      yield descriptor
+      result.descriptorLength = descriptor.length
+    }
+    central.push({ nameBuf, time, date, timestamp, directory, zip64, offset, mode: stats.mode, ...result })
+    offset += local.length + nameBuf.length + localExtra.length + result.compressedSize + (result.descriptorLength ?? 0)
+  }
+  const start = offset
+  for (const entry of central) {
+    const large = entry.zip64 || entry.offset >= ZIP32_MAX
+    const extra = large
+      ? Buffer.concat([entry.timestamp, Buffer.from([1, 0, 24, 0]), Buffer.alloc(24)])
+      : entry.timestamp
+    if (large) {
+      extra.writeBigUInt64LE(BigInt(entry.size), entry.timestamp.length + 4)
+      extra.writeBigUInt64LE(BigInt(entry.compressedSize), entry.timestamp.length + 12)
+      extra.writeBigUInt64LE(BigInt(entry.offset), entry.timestamp.length + 20)
+    }
+    const header = Buffer.alloc(46)
+    header.writeUInt32LE(0x02014b50, 0)
+    // Made by UNIX to keep the file modes
+    header.writeUInt16LE((3 << 8) | (large ? 45 : 20), 4)
+    header.writeUInt16LE(large ? 45 : 20, 6)
+    header.writeUInt16LE(entry.directory ? 0x0800 : 0x0808, 8)
+    header.writeUInt16LE(entry.directory ? 0 : 8, 10)
+    header.writeUInt16LE(entry.time, 12)
+    header.writeUInt16LE(entry.date, 14)
+    header.writeUInt32LE(entry.crc, 16)
+    header.writeUInt32LE(large ? ZIP32_MAX : entry.compressedSize, 20)
+    header.writeUInt32LE(large ? ZIP32_MAX : entry.size, 24)
+    header.writeUInt16LE(entry.nameBuf.length, 28)
+    header.writeUInt16LE(extra.length, 30)
+    header.writeUInt16LE(0, 32)
+    header.writeUInt16LE(0, 34)
+    header.writeUInt16LE(0, 36)
+    // MS-DOS directory attribute and UNIX mode
+    header.writeUInt32LE(((entry.mode & 0xffff) << 16 | (entry.directory ? 0x10 : 0)) >>> 0, 38)
+    header.writeUInt32LE(large ? ZIP32_MAX : entry.offset, 42)
+    yield header
+    yield entry.nameBuf
+    yield extra
+    offset += header.length + entry.nameBuf.length + extra.length
+  }
+  const size = offset - start
+  if (central.length >= 0xffff || size >= ZIP32_MAX || start >= ZIP32_MAX) {
+    const end64 = Buffer.alloc(56)
+    end64.writeUInt32LE(0x06064b50, 0)
+    end64.writeBigUInt64LE(44n, 4)
+    end64.writeUInt16LE((3 << 8) | 45, 12)
+    end64.writeUInt16LE(45, 14)
+    end64.writeBigUInt64LE(BigInt(central.length), 24)
+    end64.writeBigUInt64LE(BigInt(central.length), 32)
+    end64.writeBigUInt64LE(BigInt(size), 40)
+    end64.writeBigUInt64LE(BigInt(start), 48)
+    const locator = Buffer.alloc(20)
+    locator.writeUInt32LE(0x07064b50, 0)
+    locator.writeBigUInt64LE(BigInt(offset), 8)
+    locator.writeUInt32LE(1, 16)
+    yield end64
+    yield locator
+  }
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(Math.min(central.length, 0xffff), 8)
+  end.writeUInt16LE(Math.min(central.length, 0xffff), 10)
+  end.writeUInt32LE(Math.min(size, ZIP32_MAX), 12)
+  end.writeUInt32LE(Math.min(start, ZIP32_MAX), 16)
+  yield end
+}
+
+/**
+ * Archive formats and their streams.
+ */
+const FORMATS = {
+  'zip': {
+    contentType: 'application/zip',
+    create: (dir, options) => Readable.from(zip(dir, options)),
+  },
+  'tar.gz': {
+    contentType: 'application/gzip',
+    create: (dir, options) => pipeline(Readable.from(tar(dir, options)), zlib.createGzip(), () => undefined),
+  },
+}
+
+/**
+ * Streamed archive of a directory.
+ * Nothing is staged on disk or held in memory.
+ */
+export default class Archive {
+  /**
+   * Supported archive formats.
+   * @property
+   * @public
+   * @static
+   * @readonly
+   * @type {string[]}
+   */
+  static get FORMATS() {
+    return Object.keys(FORMATS)
+  }
+
+  /**
+   * Archive format.
+   * @property
+   * @public
+   * @readonly
+   * @type {'zip'|'tar.gz'}
+   */
+  format
+
+  /**
+   * Content type of the archive.
+   * @property
+   * @public
+   * @readonly
+   * @type {string}
+   */
+  get contentType() {
+    return FORMATS[this.format].contentType
+  }
+
+  /**
+   * Construct a new archive.
+   * @param {string} dir Absolute path of the archived directory.
+   * @param {'zip'|'tar.gz'} format Archive format.
+   * @param {ArchiveOptions} [options] Archive options.
+   */
+  constructor(dir, format, options = {}) {
+    this._dir = dir
+    this.format = format
+    this._options = options
+  }
+
+  /**
+   * Create a readable stream of the archive.
+   * @returns {Readable} Archive stream.
+   */
+  createReadStream() {
+    return FORMATS[this.format].create(this._dir, this._options)
+  }
+
+  /**
+   * Archived directory.
+   * @property
+   * @protected
+   * @readonly
+   * @type {string}
+   */
+  _dir
+
+  /**
+   * Archive options.
+   * @property
+   * @protected
+   * @readonly
+   * @type {ArchiveOptions}
+   */
+  _options
+}
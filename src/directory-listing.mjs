@@ -0,0 +1,365 @@
+import * as fs from 'fs/promises'
+import * as path from 'path'
+import { escapeHtml, formatSize, STAT_FILTER } from './util.mjs'
+
+/**
+ * Maximum recursion depth of a listing.
+ */
+const MAX_DEPTH = 8
+
+/**
+ * Keys to sort the entries.
+ */
+const SORT_KEYS = ['name', 'size', 'mtime']
+
+/**
+ * Columns of the HTML table.
+ */
+const COLUMNS = [
+  { key: 'name', title: 'Name' },
+  { key: 'size', title: 'Size' },
+  { key: 'mtime', title: 'Modified' },
+  { key: null, title: 'Type' },
+]
+
+/**
+ * Entry of a directory listing.
+ * @typedef ListingEntry
+ * @property {string} name File name.
+ * @property {'file'|'directory'} type File type.
+ * @property {string} [contentType] MIME type of a file if its extension is known.
+ * @property {number} size File size in bytes.
+ * @property {string} mtime Modification date (ISO 8601).
+ * @property {string} url Encoded URL path of the file.
+ * @property {ListingEntry[]} [entries] Entries of a directory if the recursion depth allows it.
+ */
+
+/**
+ * Listing options.
+ * @typedef ListingOptions
+ * @property {number} [depth] Recursion depth, 0 to list only the directory.
+ * @property {number} [offset] Index of the first entry of the directory.
+ * @property {number} [limit] Maximum number of entries of the directory.
+ * @property {'name'|'size'|'mtime'} [sort] Sort key.
+ * @property {'asc'|'desc'} [order] Sort order.
+ * @property {boolean} [hidden] Show the hidden files (starting with a dot).
+ * @property {import('./mime-types.mjs').default} [mimeTypes] MIME types to find the type of the files.
+ * @property {(pathname: string) => boolean} [allowed] Test if a file can be listed by its absolute path,
+ * like the access rules of the user. The other files are skipped, and so is the content of the directories.
+ */
+
+/**
+ * Parse a non negative integer search parameter.
+ * @param {URLSearchParams} params URL search parameters.
+ * @param {string} name Parameter name.
+ * @returns {number|undefined} The parameter value or undefined if it is missing or invalid.
+ */
+function intParam(params, name) {
+  const value = Number(params.get(name) ?? NaN)
+  return Number.isInteger(value) && value >= 0 ? value : undefined
+}
+
+/**
+ * Encode a relative path as an URL path.
+ * @param {string} relative Path relative to the root directory.
+ * @returns {string} Encoded URL path with a leading slash.
+ */
+function toUrl(relative) {
+  return '/' + relative.split(path.sep).filter(s => s !== '').map(encodeURIComponent).join('/')
+}
+
+/**
+ * Build a comparator of the entries.
+ * The directories come first, then the entries are compared by the sort key and by name.
+ * @param {'name'|'size'|'mtime'} sort Sort key.
+ * @param {'asc'|'desc'} order Sort order.
+ * @returns {(e1: ListingEntry, e2: ListingEntry) => number} Comparator.
+ */
+function comparator(sort, order) {
+  const sign = order === 'desc' ? -1 : 1
+  return (e1, e2) => {
+    if (e1.type !== e2.type) {
+      return e1.type === 'directory' ? -1 : 1
+    }
+    const byName = e1.name.localeCompare(e2.name)
+    switch (sort) {
+      case 'size':
+        return sign * (e1.size - e2.size || byName)
+      case 'mtime':
+        return sign * (Date.parse(e1.mtime) - Date.parse(e2.mtime) || byName)
+      default:
+        return sign * byName
+    }
+  }
+}
+
+/**
+ * Read the entries of a directory.
+ * @param {string} root Absolute path of the root directory.
+ * @param {string} pathname Absolute path of the directory.
+ * @param {number} depth Recursion depth.
+ * @param {ListingOptions} options Listing options.
+ * @returns {Promise<ListingEntry[]>} Sorted entries.
+ */
+async function readEntries(root, pathname, depth, options) {
+  const dirents = (await fs.readdir(pathname, { withFileTypes: true }))
+    .filter(STAT_FILTER)
+    .filter(f => options.hidden || !f.name.startsWith('.'))
+  const entries = await Promise.all(dirents.map(async dirent => {
+    const child = path.join(pathname, dirent.name)
+    if (options.allowed !== undefined && !options.allowed(child)) {
+      return null
+    }
+    let stats
+    try {
+      stats = await fs.stat(child)
+    } catch (error) {
+      // Removed since readdir
+      return null
+    }
+    const directory = stats.isDirectory()
+    const entry = {
+      name: dirent.name,
+      type: directory ? 'directory' : 'file',
+      contentType: directory ? undefined : options.mimeTypes?.lookup(dirent.name),
+      size: stats.size,
+      mtime: stats.mtime.toISOString(),
+      url: toUrl(path.relative(root, child)) + (directory ? '/' : ''),
+    }
+    if (directory && depth > 0) {
+      entry.entries = await readEntries(root, child, depth - 1, options)
+    }
+    return entry
+  }))
+  return entries.filter(e => e !== null)
+    .sort(comparator(options.sort, options.order))
+}
+
+/**
+ * Listing of a directory.
+ * The same entries build the HTML and the JSON representations.
+ */
+export default class DirectoryListing {
+  /**
+   * Read the listing options from the URL search parameters:
+   * 'depth', 'offset', 'limit', 'sort', 'order' and 'hidden'.
+   * @param {URL} url Request URL.
+   * @returns {ListingOptions} Listing options.
+   */
+  static options(url) {
+    const params = url.searchParams
+    return {
+      depth: intParam(params, 'depth'),
+      offset: intParam(params, 'offset'),
+      limit: intParam(params, 'limit'),
+      sort: SORT_KEYS.includes(params.get('sort')) ? params.get('sort') : 'name',
+      order: params.get('order') === 'desc' ? 'desc' : 'asc',
+      hidden: params.has('hidden') && params.get('hidden') !== '0',
+    }
+  }
+
+  /**
+   * Read a directory.
+   * @param {string} root Absolute path of the root directory.
+   * @param {string} pathname Absolute path of the directory.
+   * @param {ListingOptions} [options] Listing options.
+   * @returns {Promise<DirectoryListing>} The directory listing.
+   */
+  static async read(root, pathname, options = {}) {
+    const { depth = 0, offset = 0, limit } = options
+    const entries = await readEntries(root, pathname, Math.min(depth, MAX_DEPTH), options)
+    const url = toUrl(path.relative(root, pathname))
+    return new DirectoryListing(
+      url.endsWith('/') ? url : url + '/',
+      entries.slice(offset, limit === undefined ? undefined : offset + limit),
+      entries.length,
+      offset,
+      options,
+    )
+  }
+
+  /**
+   * Encoded URL path of the directory with a trailing slash.
+   * @property
+   * @public
+   * @readonly
+   * @type {string}
+   */
+  url
+
+  /**
+   * Entries of the requested page.
+   * @property
+   * @public
+   * @readonly
+   * @type {ListingEntry[]}
+   */
+  entries
+
+  /**
+   * Total number of entries of the directory.
+   * @property
+   * @public
+   * @readonly
+   * @type {number}
+   */
+  total
+
+  /**
+   * Index of the first entry of the page.
+   * @property
+   * @public
+   * @readonly
+   * @type {number}
+   */
+  offset
+
+  /**
+   * Options used to read the directory.
+   * @property
+   * @public
+   * @readonly
+   * @type {ListingOptions}
+   */
+  options
+
+  /**
+   * Construct a new instance.
+   * @param {string} url Encoded URL path of the directory.
+   * @param {ListingEntry[]} entries Entries of the page.
+   * @param {number} total Total number of entries.
+   * @param {number} offset Index of the first entry of the page.
+   * @param {ListingOptions} [options] Options used to read the directory.
+   */
+  constructor(url, entries, total, offset, options = {}) {
+    this.url = url
+    this.entries = entries
+    this.total = total
+    this.offset = offset
+    this.options = options
+  }
+
+  /**
+   * JSON representation.
+   * @returns {object} Plain object.
+   */
+  toJSON() {
+    return {
+      url: this.url,
+      total: this.total,
+      offset: this.offset,
+      entries: this.entries,
+    }
+  }
+
+  /**
+   * HTML representation: breadcrumbs, a sortable table of the entries and an upload form.
+   * @returns {string} HTML page.
+   */
+  toHtml() {
+    const { sort = 'name', order = 'asc', hidden = false } = this.options
+    const title = `Directory listing for ${decodeURIComponent(this.url)}`
+    const headers = COLUMNS.map(({ key, title }) => {
+      if (key === null) {
+        return `<th>${title}</th>`
+      }
+      const nextOrder = key === sort && order === 'asc' ? 'desc' : 'asc'
+      const arrow = key !== sort ? '' : order === 'asc' ? ' &#9650;' : ' &#9660;'
+      return `<th><a href="${escapeHtml(this._query({ sort: key, order: nextOrder }))}">${title}</a>${arrow}</th>`
+    })
+    const rows = []
+    if (this.url !== '/') {
+      rows.push(`<tr><td><a href="${escapeHtml(this._parentUrl())}">../</a></td><td></td><td></td><td></td></tr>`)
+    }
+    for (const e of this.entries) {
+      const directory = e.type === 'directory'
+      const date = e.mtime.substring(0, 16).replace('T', ' ')
+      rows.push(`<tr>`
+        + `<td><a href="${escapeHtml(e.url)}">${escapeHtml(e.name + (directory ? '/' : ''))}</a></td>`
+        + `<td title="${e.size} bytes">${directory ? '-' : formatSize(e.size)}</td>`
+        + `<td><time datetime="${e.mtime}">${date}</time></td>`
+        + `<td>${directory ? 'Directory' : escapeHtml(e.contentType ?? 'File')}</td>`
+        + `</tr>`)
+    }
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 1em 2em; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: .2em 1em .2em 0; white-space: nowrap; }
+    td:first-child { white-space: normal; word-break: break-all; }
+    tbody tr:hover { background: #f0f0f0; }
+    nav a { text-decoration: none; }
+  </style>
+</head>
+<body>
+  <h1>Directory listing for <nav>${this._breadcrumbs()}</nav></h1>
+  <p>
+    <a href="${escapeHtml(this._query({ hidden: hidden ? null : '1' }))}">${hidden ? 'Hide' : 'Show'} hidden files</a>
+    | Download as <a href="${escapeHtml(this._query({ sort: null, order: null, download: 'zip' }))}">ZIP</a>
+    or <a href="${escapeHtml(this._query({ sort: null, order: null, download: 'tar.gz' }))}">tar.gz</a>
+  </p>
+  <hr>
+  <table>
+    <thead><tr>${headers.join('')}</tr></thead>
+    <tbody>
+      ${rows.join('\n      ')}
+    </tbody>
+  </table>
+  <hr>
+  <form action="" method="POST" enctype="multipart/form-data">
+    <label for="infile">Choose a file</label>
+    <input type="file" id="infile" name="infile" onchange="event.target.parentElement.submit()" required multiple>
+  </form>
+</body>
+</html>`
+  }
+
+  /**
+   * Links to each segment of the directory path.
+   * @protected
+   * @returns {string} HTML breadcrumbs.
+   */
+  _breadcrumbs() {
+    const segments = this.url.split('/').filter(s => s !== '')
+    const links = [`<a href="/">/</a>`]
+    let url = '/'
+    for (const segment of segments) {
+      url += segment + '/'
+      links.push(`<a href="${escapeHtml(url)}">${escapeHtml(decodeURIComponent(segment))}/</a>`)
+    }
+    return links.join(' ')
+  }
+
+  /**
+   * Encoded URL path of the parent directory.
+   * @protected
+   * @returns {string} Parent URL path.
+   */
+  _parentUrl() {
+    return this.url.replace(/[^/]+\/$/, '')
+  }
+
+  /**
+   * Build a relative URL to this listing with the current options and the given changes.
+   * @protected
+   * @param {Object<string, string|null>} changes Search parameters to change, null to remove one.
+   * @returns {string} Relative URL.
+   */
+  _query(changes) {
+    const { sort = 'name', order = 'asc', hidden = false } = this.options
+    const params = new URLSearchParams()
+    const current = { sort, order, hidden: hidden ? '1' : null, ...changes }
+    for (const [key, value] of Object.entries(current)) {
+      if (value !== null && !(key === 'sort' && value === 'name') && !(key === 'order' && value === 'asc')) {
+        params.set(key, value)
+      }
+    }
+    const query = params.toString()
+    return query === '' ? '?' : '?' + query
+  }
+}
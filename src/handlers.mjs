@@ -1,9 +1,16 @@
-import { createReadStream } from 'fs';
 import * as fs from 'fs/promises';
 import * as path from 'path';
+import { Readable } from 'stream';
 import { pipeline } from 'stream/promises';
+import HttpCache from './http/http-cache.mjs';
+import HttpDigest from './http/http-digest.mjs';
+import HttpEncoding from './http/http-encoding.mjs';
 import HttpRange from './http/http-range.mjs';
-import { STAT_FILTER } from './util.mjs';
+import Archive from './archive.mjs';
+import DirectoryListing from './directory-listing.mjs';
+import { USER } from './http/http-auth.mjs';
+import MimeTypes from './mime-types.mjs';
+import { acceptQuality, isStaging } from './util.mjs';
 
 /**
  * @class
@@ -11,6 +18,9 @@ import { STAT_FILTER } from './util.mjs';
  * @param {object} options Contructor options.
  * @param {import('http').IncomingMessage} options.req HTTP request.
  * @param {import('../index.mjs').HeaderInfo} options.info
+ * @param {import('./mime-types.mjs').default} options.mimeTypes MIME types of the served files.
+ * @param {import('./http/http-auth.mjs').default|null} [options.auth] Access rules of the served files.
+ * @param {boolean} [options.downloadDigest] Send the digest of a full file download even if the client does not ask.
  */
 
 /**
@@ -18,7 +28,7 @@ import { STAT_FILTER } from './util.mjs';
  * @method
  * @name HttpMethodHandler#prepare
  * @param {import('http').ServerResponse} res HTTP response
- * @returns {void}
+ * @returns {Promise<void>|void}
  */
 
 /**
@@ -29,39 +39,154 @@ import { STAT_FILTER } from './util.mjs';
  * @param {import('http').ServerResponse} res HTTP response.
  */
 
+/**
+ * Precompressed file found next to a file.
+ * @typedef Sidecar
+ * @property {string} encoding Content coding of the precompressed file.
+ * @property {string} pathname Pathname of the precompressed file.
+ * @property {import('fs').Stats} stats Stats of the precompressed file.
+ */
+
+/**
+ * Files smaller than this size are not compressed on the fly.
+ */
+const MIN_COMPRESS_SIZE = 1024
+
+/**
+ * Find the precompressed file accepted by the client, like 'foo.js.br' or 'foo.js.gz' next to 'foo.js'.
+ * A precompressed file older than the file is ignored.
+ * @param {string} pathname Pathname of the file.
+ * @param {import('fs').Stats} stats Stats of the file.
+ * @param {HttpEncoding} encoding Content codings accepted by the client.
+ * @returns {Promise<Sidecar|null>} The precompressed file or null if there is none.
+ */
+async function findSidecar(pathname, stats, encoding) {
+  for (const accepted of encoding.accepted) {
+    const sidecar = pathname + HttpEncoding.extension(accepted)
+    try {
+      const sidecarStats = await fs.stat(sidecar)
+      if (sidecarStats.isFile() && sidecarStats.mtimeMs >= stats.mtimeMs) {
+        return { encoding: accepted, pathname: sidecar, stats: sidecarStats }
+      }
+    } catch (error) {
+      // No precompressed file with this content coding
+    }
+  }
+  return null
+}
+
 /**
  * @implements {HttpMethodHandler}
  */
 export class FileHttpMethodHandler {
-  constructor({ req, info }) {
-    this._range = new HttpRange(info.stats, req)
+  constructor({ req, info, mimeTypes, downloadDigest = false }) {
+    this._req = req
+    this._stats = info.stats
     this._pathname = info.pathname
+    this._mimeTypes = mimeTypes
+    this._downloadDigest = downloadDigest
   }
 
-  prepare(res) {
-    if (this._range.size < 0 || this._range.end === 0) {
-      res.writeHead(416)
-      res.end()
+  async prepare(res) {
+    const contentType = await this._mimeTypes.contentType(this._pathname)
+    const compressible = MimeTypes.isCompressible(contentType)
+    const encoding = new HttpEncoding(this._req)
+    const sidecar = await findSidecar(this._pathname, this._stats, encoding)
+    let stats = this._stats
+    let suffix = ''
+    if (sidecar !== null) {
+      // Ranges apply to the precompressed file
+      this._pathname = sidecar.pathname
+      stats = sidecar.stats
+      suffix = '-' + sidecar.encoding
+      res.setHeader('Content-Encoding', sidecar.encoding)
+    } else if (compressible && this._req.headers.range === undefined && stats.size >= MIN_COMPRESS_SIZE) {
+      this._compress = encoding.negotiate()
+      if (this._compress !== null) {
+        suffix = '-' + this._compress
+        res.setHeader('Content-Encoding', this._compress)
+      }
+    }
+    if (compressible || sidecar !== null) {
+      res.setHeader('Vary', 'Accept-Encoding')
+    }
+    const cache = HttpCache.fromStats(stats, false, suffix)
+    cache.setHeader(res)
+    if (cache.isNotModified(this._req)) {
+      res.removeHeader('Content-Encoding')
+      res.writeHead(304)
+      this._hasBody = false
       return
     }
-    this._range.setHeader(res)
-    res.setHeader('Content-Type', 'applications/octet-stream')
+    this._range = new HttpRange(stats, this._req, cache)
+    this._range.setHeader(res, contentType)
+    if (this._compress !== null) {
+      // The length of the compressed content is unknown
+      res.removeHeader('Content-Length')
+    }
+    this._hasBody = this._range.satisfiable
+    const wanted = HttpDigest.wanted(this._req.headers)
+      ?? (this._downloadDigest ? { algorithm: HttpDigest.DEFAULT_ALGORITHM, header: 'Digest' } : null)
+    if (wanted !== null && this._hasBody && !this._range.partial && this._compress === null) {
+      // Digest of the sent representation, on demand or with the option because the whole file is read
+      // before the response. The on the fly compression is not computed in advance
+      const digest = await HttpDigest.fromFile(this._pathname, stats, wanted.algorithm)
+      res.setHeader(wanted.header, wanted.header === 'Digest' ? digest.toLegacyString() : digest.toString())
+    }
   }
 
   async send(req, res) {
-    const readStream = createReadStream(this._pathname, {
-      start: this._range.start,
-      end: this._range.end,
-    })
+    if (!this._hasBody) {
+      return
+    }
+    const readStream = this._range.createReadStream(this._pathname)
     try {
-      await pipeline(readStream, res)
+      await (this._compress === null
+        ? pipeline(readStream, res)
+        : pipeline(readStream, HttpEncoding.createCompressor(this._compress), res))
     } finally {
       readStream.destroy()
     }
   }
 
+  _req
+  _stats
+  _hasBody = true
+  _compress = null
   _range
   _pathname
+  _mimeTypes
+  _downloadDigest
+}
+
+/**
+ * Build the test of the read access of the authenticated user to the files of the served directory.
+ * The staging directory of the uploads is never read.
+ * @param {import('./http/http-auth.mjs').default|null} auth Access rules or null if there are none.
+ * @param {import('http').IncomingMessage} req HTTP request.
+ * @param {string} root Absolute path of the served directory.
+ * @returns {(pathname: string) => boolean} Test a file by its absolute path.
+ */
+function readAccess(auth, req, root) {
+  const user = req[USER] ?? null
+  return pathname => !isStaging(root, pathname) && (auth === null || auth === undefined
+    || auth.isAllowed(user, '/' + path.relative(root, pathname).split(path.sep).join('/'), false))
+}
+
+/**
+ * Choose the format of a directory listing.
+ * The 'format' search parameter takes precedence over the 'accept' header.
+ * @param {import('http').IncomingMessage} req HTTP request.
+ * @param {URL} url Request URL.
+ * @returns {'json'|'html'} The listing format.
+ */
+function listingFormat(req, url) {
+  const format = url.searchParams.get('format')
+  if (format === 'json' || format === 'html') {
+    return format
+  }
+  const accept = req.headers.accept
+  return acceptQuality(accept, 'application/json') > acceptQuality(accept, 'text/html') ? 'json' : 'html'
 }
 
 /**
@@ -69,55 +194,144 @@ export class FileHttpMethodHandler {
  */
 export class DirectoryHttpMethodHandler {
 
-  constructor({ info }) {
+  constructor({ req, info, mimeTypes, auth }) {
+    this._req = req
+    this._url = info.url
+    this._root = info.root
     this._pathname = info.pathname
+    this._mimeTypes = mimeTypes
+    this._allowed = readAccess(auth, req, info.root)
   }
 
-  prepare(res) {
+  async prepare(res) {
+    const format = listingFormat(this._req, this._url)
+    const listing = await DirectoryListing.read(this._root, this._pathname, {
+      ...DirectoryListing.options(this._url),
+      mimeTypes: this._mimeTypes,
+      allowed: this._allowed,
+    })
+    this._body = format === 'json' ? JSON.stringify(listing) : listing.toHtml()
+    // The directory stats do not change with its files, so the validator comes from the content
+    const cache = HttpCache.fromContent(this._body)
+    res.setHeader('Vary', 'Accept, Accept-Encoding')
+    cache.setHeader(res)
+    if (cache.isNotModified(this._req)) {
+      res.writeHead(304)
+      this._hasBody = false
+      return
+    }
+    this._compress = new HttpEncoding(this._req).negotiate()
+    if (this._compress !== null) {
+      res.setHeader('Content-Encoding', this._compress)
+    } else {
+      res.setHeader('Content-Length', Buffer.byteLength(this._body))
+    }
     res.statusCode = 200
-    res.setHeader('Content-Type', 'text/html')
+    res.setHeader('Content-Type', format === 'json'
+      ? 'application/json; charset=utf-8'
+      : 'text/html; charset=utf-8')
   }
 
   async send(req, res) {
-    const parsed = path.parse(this._pathname)
-    const files = []
-    if (parsed.base === '.') {
-      parsed.base = '/'
+    if (!this._hasBody) {
+      return
+    }
+    if (this._compress !== null) {
+      await pipeline(Readable.from([this._body]), HttpEncoding.createCompressor(this._compress), res)
     } else {
-      files.push(`<li><a href="/${parsed.dir}">..</a></li>`)
-    }
-    files.push(...(await fs.readdir(this._pathname, { withFileTypes: true }))
-      .filter(STAT_FILTER)
-      .sort((f1, f2) => f1.name.localeCompare(f2.name))
-      .map(f => `
-<li>
-  <a href="/${path.join(this._pathname, f.name)}">${f.name + (f.isDirectory() ? '/' : '')}</a>
-</li>`)
-    )
-    const title = `Directory listing for ${parsed.base}`
+      await new Promise((resolve) => {
+        res.write(this._body, resolve)
+      })
+    }
+  }
+
+  _req
+  _url
+  _body
+  _hasBody = true
+  _compress = null
+  _root
+  _pathname
+  _mimeTypes
+  _allowed
+}
+
+/**
+ * Send a directory as an archive, with the format of the 'download' search parameter.
+ * @implements {HttpMethodHandler}
+ */
+export class ArchiveHttpMethodHandler {
+  constructor({ req, info, auth, logger }) {
+    const format = info.url.searchParams.get('download')
+    const options = DirectoryListing.options(info.url)
+    const allowed = readAccess(auth, req, info.root)
+    this._archive = Archive.FORMATS.includes(format)
+      ? new Archive(info.pathname, format, { hidden: options.hidden, allowed, logger })
+      : null
+    this._name = path.basename(info.pathname) || 'root'
+  }
+
+  prepare(res) {
+    if (this._archive === null) {
+      res.writeHead(400)
+      return
+    }
+    const filename = `${this._name}.${this._archive.format}`
+    res.statusCode = 200
+    res.setHeader('Content-Type', this._archive.contentType)
+    res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; `
+      + `filename*=UTF-8''${encodeURIComponent(filename)}`)
+  }
+
+  async send(req, res) {
+    if (this._archive === null) {
+      return
+    }
+    await pipeline(this._archive.createReadStream(), res)
+  }
+
+  _archive
+  _name
+}
+
+/**
+ * Send the digest of a file, with the algorithm of the 'checksum' search parameter,
+ * in the format of 'sha256sum'.
+ * @implements {HttpMethodHandler}
+ */
+export class ChecksumHttpMethodHandler {
+  constructor({ info }) {
+    this._algorithm = HttpDigest.algorithm(info.url.searchParams.get('checksum') || HttpDigest.DEFAULT_ALGORITHM)
+    this._pathname = info.pathname
+    this._stats = info.stats
+  }
+
+  async prepare(res) {
+    if (this._algorithm === null) {
+      res.writeHead(400)
+      this._body = null
+      return
+    }
+    const digest = await HttpDigest.fromFile(this._pathname, this._stats, this._algorithm)
+    this._body = `${digest.toHex()}  ${path.basename(this._pathname)}\n`
+    res.statusCode = 200
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8')
+    res.setHeader('Content-Length', Buffer.byteLength(this._body))
+  }
+
+  async send(req, res) {
+    if (this._body === null) {
+      return
+    }
     await new Promise((resolve) => {
-      res.write(`
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <title>${title}</title>
-<head>
-<body>
-  <h1>${title}</h1>
-  <hr>
-  <ul>${files.join('')}</ul>
-  <form action="" method="POST" enctype="multipart/form-data">
-    <label for="infile">Choose a file</label>
-    <input type="file" name="infile" onchange="event.target.parentElement.submit()" required multiple>
-  </form>
-  <hr>
-</body>
-</html>`, resolve)
+      res.write(this._body, resolve)
     })
   }
 
+  _algorithm
   _pathname
+  _stats
+  _body
 }
 
 /**
@@ -125,7 +339,20 @@ export class DirectoryHttpMethodHandler {
  */
 export class NotFoundHttpMethodHandler {
   prepare(res) {
-    res.writeHead(404)
+    res.statusCode = 404
+  }
+
+  send() {
+    return Promise.resolve()
+  }
+}
+
+/**
+ * @implements {HttpMethodHandler}
+ */
+export class ForbiddenHttpMethodHandler {
+  prepare(res) {
+    res.statusCode = 403
   }
 
   send() {
@@ -0,0 +1,303 @@
+import { createHash, pbkdf2, randomBytes, scrypt, timingSafeEqual } from 'crypto'
+import * as fs from 'fs/promises'
+import * as path from 'path'
+import { promisify } from 'util'
+import { tryDecodeURIComponent } from '../util.mjs'
+
+const scryptAsync = promisify(scrypt)
+const pbkdf2Async = promisify(pbkdf2)
+
+/**
+ * Symbol to store the authenticated user name into the HTTP request.
+ */
+export const USER = Symbol('USER')
+
+/**
+ * Rule user which matches everyone, even the anonymous clients.
+ */
+const ANYONE = '*'
+
+/**
+ * Rule user which matches all the authenticated users.
+ */
+const AUTHENTICATED = '@authenticated'
+
+/**
+ * HTTP methods which modify the requested files.
+ * COPY only reads its source, the write access to its destination is checked by the WebDAV handler.
+ */
+const WRITE_METHODS = new Set([
+  'POST', 'PUT', 'PATCH', 'DELETE',
+  'MKCOL', 'MOVE', 'PROPPATCH', 'LOCK', 'UNLOCK',
+])
+
+/**
+ * Maximum number of verified credentials kept in memory.
+ */
+const CACHE_SIZE = 1024
+
+/**
+ * Password hash used when the user does not exist, so the response time does not reveal the user names.
+ */
+const DUMMY_HASH = '$scrypt$N=16384,r=8,p=1$AAAAAAAAAAAAAAAAAAAAAA==$AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA='
+
+/**
+ * Access rule of a path prefix.
+ * @typedef AccessRule
+ * @property {string} path Path prefix of the URL.
+ * @property {string[]} users User names, '*' for everyone or '@authenticated' for all the authenticated users.
+ * @property {string} access Granted access: 'r' to read, 'w' to write.
+ */
+
+/**
+ * Parse the parameters of a password hash: 'N=16384,r=8,p=1'.
+ * @param {string} str Parameters.
+ * @returns {Object<string, number>} Parameters by name.
+ */
+function parseParams(str) {
+  return Object.fromEntries(str.split(',').map(p => p.split('=')).map(([k, v]) => [k, parseInt(v)]))
+}
+
+/**
+ * Compute the hash of a password with the same algorithm and parameters as the stored hash.
+ * @param {string} password Password to hash.
+ * @param {string} stored Stored hash: '$scrypt$N=..,r=..,p=..$salt$hash' or '$pbkdf2-sha256$i=..$salt$hash'.
+ * @returns {Promise<Buffer|null>} The hash of the password or null if the stored hash is not supported.
+ */
+async function derive(password, stored) {
+  const [, algorithm, params, salt, hash] = stored.split('$')
+  const saltBuf = Buffer.from(salt ?? '', 'base64')
+  const keylen = Buffer.from(hash ?? '', 'base64').length
+  const p = parseParams(params ?? '')
+  if (algorithm === 'scrypt') {
+    return scryptAsync(password, saltBuf, keylen, { N: p.N, r: p.r, p: p.p, maxmem: 256 * p.N * p.r })
+  }
+  if (algorithm.startsWith('pbkdf2-')) {
+    return pbkdf2Async(password, saltBuf, p.i, keylen, algorithm.substring(7))
+  }
+  return null
+}
+
+/**
+ * Test if a password matches a stored hash.
+ * @param {string} password Password to test.
+ * @param {string} stored Stored hash.
+ * @returns {Promise<boolean>} true if the password matches, otherwise false.
+ */
+async function verify(password, stored) {
+  try {
+    const derived = await derive(password, stored)
+    const expected = Buffer.from(stored.split('$')[4], 'base64')
+    return derived !== null && timingSafeEqual(derived, expected)
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Normalize a URL path prefix: leading slash and no trailing slash.
+ * @param {string} prefix Path prefix.
+ * @returns {string} Normalized path prefix.
+ */
+function normalizePrefix(prefix) {
+  const normalized = path.posix.normalize('/' + prefix)
+  return normalized.length > 1 && normalized.endsWith('/') ? normalized.slice(0, -1) : normalized
+}
+
+/**
+ * HTTP Basic authentication and access control by path prefix.
+ */
+export default class HttpAuth {
+  /**
+   * Hash a password to be stored in a htpasswd file.
+   * @param {string} password Password to hash.
+   * @param {'scrypt'|'pbkdf2'} [algorithm] Hash algorithm.
+   * @returns {Promise<string>} The stored hash.
+   */
+  static async hashPassword(password, algorithm = 'scrypt') {
+    const salt = randomBytes(16)
+    if (algorithm === 'pbkdf2') {
+      const i = 600000
+      const hash = await pbkdf2Async(password, salt, i, 32, 'sha256')
+      return `$pbkdf2-sha256$i=${i}$${salt.toString('base64')}$${hash.toString('base64')}`
+    }
+    const N = 16384, r = 8, p = 1
+    const hash = await scryptAsync(password, salt, 32, { N, r, p })
+    return `$scrypt$N=${N},r=${r},p=${p}$${salt.toString('base64')}$${hash.toString('base64')}`
+  }
+
+  /**
+   * Build a new instance from a htpasswd file and an access rules file.
+   * The htpasswd file contains a 'user:hash' line by user.
+   * The access rules file is a JSON array of access rules.
+   * @param {string} [htpasswd] Pathname of the htpasswd file.
+   * @param {string} [access] Pathname of the access rules file.
+   * @returns {Promise<HttpAuth>} New instance.
+   */
+  static async fromFiles(htpasswd, access) {
+    const users = new Map()
+    if (htpasswd !== undefined) {
+      for (const line of (await fs.readFile(htpasswd, 'utf-8')).split(/\r?\n/)) {
+        const sep = line.indexOf(':')
+        if (line.trim() === '' || line.startsWith('#') || sep === -1) {
+          continue
+        }
+        users.set(line.substring(0, sep), line.substring(sep + 1).trim())
+      }
+    }
+    const rules = access === undefined ? null : JSON.parse(await fs.readFile(access, 'utf-8'))
+    return new HttpAuth(users, rules)
+  }
+
+  /**
+   * Authentication realm.
+   * @property
+   * @public
+   * @type {string}
+   */
+  realm = 'node-simple-http-server'
+
+  /**
+   * Construct a new instance.
+   * Without access rules, the authenticated users can read and write everything and the anonymous clients nothing.
+   * @param {Map<string, string>} users Password hashes by user name.
+   * @param {AccessRule[]|null} rules Access rules.
+   */
+  constructor(users, rules) {
+    this._users = users
+    this._rules = (rules ?? [{ path: '/', users: [AUTHENTICATED], access: 'rw' }])
+      .map(r => ({ path: normalizePrefix(r.path), users: new Set(r.users), access: r.access }))
+    this._verified = new Map()
+  }
+
+  /**
+   * Get the user authenticated by the 'authorization' header.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @returns {Promise<string|null|false>} The user name, null if there is no credentials or false if they are invalid.
+   */
+  async authenticate(req) {
+    const header = req.headers.authorization
+    if (header === undefined) {
+      return null
+    }
+    const matchs = /^Basic\s+(\S+)\s*$/i.exec(header)
+    if (matchs === null) {
+      return false
+    }
+    const key = createHash('sha256').update(matchs[1]).digest('base64')
+    const cached = this._verified.get(key)
+    if (cached !== undefined) {
+      return cached
+    }
+    const credentials = Buffer.from(matchs[1], 'base64').toString('utf-8')
+    const sep = credentials.indexOf(':')
+    if (sep === -1) {
+      return false
+    }
+    const user = credentials.substring(0, sep)
+    const stored = this._users.get(user)
+    if (!await verify(credentials.substring(sep + 1), stored ?? DUMMY_HASH) || stored === undefined) {
+      return false
+    }
+    if (this._verified.size >= CACHE_SIZE) {
+      this._verified.clear()
+    }
+    this._verified.set(key, user)
+    return user
+  }
+
+  /**
+   * Test if a user can access to a path.
+   * The rules with the longest matching path prefix decide, their accesses are merged.
+   * @param {string|null} user User name or null for an anonymous client.
+   * @param {string} pathname Decoded URL pathname.
+   * @param {boolean} write true to test the write access, false for the read access.
+   * @returns {boolean} true if the access is granted, otherwise false.
+   */
+  isAllowed(user, pathname, write) {
+    const normalized = normalizePrefix(pathname)
+    let length = -1
+    let access = ''
+    for (const rule of this._rules) {
+      const matchPath = rule.path === '/' || normalized === rule.path || normalized.startsWith(rule.path + '/')
+      const matchUser = rule.users.has(ANYONE)
+        || (user !== null && (rule.users.has(AUTHENTICATED) || rule.users.has(user)))
+      if (!matchPath || !matchUser || rule.path.length < length) {
+        continue
+      }
+      if (rule.path.length > length) {
+        length = rule.path.length
+        access = ''
+      }
+      access += rule.access
+    }
+    return access.includes(write ? 'w' : 'r')
+  }
+
+  /**
+   * Test if a user can access to a path and to everything below it:
+   * the access can only change at the path prefix of a rule.
+   * @param {string|null} user User name or null for an anonymous client.
+   * @param {string} pathname Decoded URL pathname.
+   * @param {boolean} write true to test the write access, false for the read access.
+   * @returns {boolean} true if the access is granted for the whole tree, otherwise false.
+   */
+  isTreeAllowed(user, pathname, write) {
+    const prefix = normalizePrefix(pathname)
+    return this.isAllowed(user, prefix, write) && this._rules
+      .filter(r => prefix === '/' ? r.path !== '/' : r.path.startsWith(prefix + '/'))
+      .every(r => this.isAllowed(user, r.path, write))
+  }
+
+  /**
+   * Check the authentication and the access rights of a request.
+   * Answer 401 if the client must authenticate and 403 if the authenticated user is not allowed.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @returns {Promise<void>}
+   */
+  handler = async (req, res) => {
+    const user = await this.authenticate(req)
+    const pathname = tryDecodeURIComponent(new URL(req.url, 'http://localhost').pathname)
+    if (user) {
+      req[USER] = user
+    }
+    if (user !== false && this.isAllowed(user, pathname, WRITE_METHODS.has(req.method))) {
+      return
+    }
+    if (user) {
+      res.writeHead(403)
+    } else {
+      res.writeHead(401, {
+        'WWW-Authenticate': `Basic realm="${this.realm}", charset="UTF-8"`,
+      })
+    }
+  }
+
+  /**
+   * Password hashes by user name.
+   * @property
+   * @protected
+   * @readonly
+   * @type {Map<string, string>}
+   */
+  _users
+
+  /**
+   * Normalized access rules.
+   * @property
+   * @protected
+   * @readonly
+   * @type {{ path: string, users: Set<string>, access: string }[]}
+   */
+  _rules
+
+  /**
+   * User names by hash of the verified credentials.
+   * @property
+   * @protected
+   * @readonly
+   * @type {Map<string, string>}
+   */
+  _verified
+}
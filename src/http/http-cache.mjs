@@ -0,0 +1,167 @@
+import { createHash } from 'crypto'
+
+/**
+ * Regular expression to find the entity tags of a HTTP header.
+ */
+const REG_EXP_ETAG = /(?:W\/)?"[^"]*"/g
+
+/**
+ * Remove the weak indicator of an entity tag.
+ * @param {string} etag Entity tag.
+ * @returns {string} Opaque part of the entity tag.
+ */
+function opaque(etag) {
+  return etag.startsWith('W/') ? etag.substring(2) : etag
+}
+
+/**
+ * Parse a HTTP date header.
+ * @param {string|undefined} header HTTP header value.
+ * @returns {number} Time in seconds or NaN if the header is missing or invalid.
+ */
+function parseDate(header) {
+  return Math.floor(Date.parse(header) / 1000)
+}
+
+/**
+ * Class which represent the validators of a file: 'ETag' and 'Last-Modified' headers.
+ * Evaluate the conditional requests headers against them.
+ */
+export default class HttpCache {
+  /**
+   * Entity tag, built from the size and the modification time of a file or from a generated content.
+   * @property
+   * @public
+   * @readonly
+   * @type {string}
+   */
+  etag
+
+  /**
+   * Modification time of the file in seconds or null if unknown.
+   * @property
+   * @public
+   * @readonly
+   * @type {number|null}
+   */
+  mtime
+
+  /**
+   * Last-Modified
+   * HTTP Header representation as a string.
+   * @property
+   * @public
+   * @readonly
+   * @type {string|null}
+   */
+  get lastModified() {
+    return this.mtime === null ? null : new Date(this.mtime * 1000).toUTCString()
+  }
+
+  /**
+   * New instance from file stats.
+   * @param {import('fs').Stats} stats File stats.
+   * @param {boolean} [weak] Indicate if the entity tag is weak.
+   * @param {string} [suffix] Suffix to distinguish the representations of the file, like the compressed ones.
+   * @returns {HttpCache} New instance.
+   */
+  static fromStats(stats, weak = false, suffix = '') {
+    return new HttpCache(
+      `${weak ? 'W/' : ''}"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}${suffix}"`,
+      Math.floor(stats.mtimeMs / 1000),
+    )
+  }
+
+  /**
+   * New instance from a generated content.
+   * The entity tag is weak and there is no modification time.
+   * @param {string|Buffer} content Generated content.
+   * @returns {HttpCache} New instance.
+   */
+  static fromContent(content) {
+    return new HttpCache(`W/"${createHash('sha1').update(content).digest('base64url')}"`, null)
+  }
+
+  /**
+   * Test if the preconditions of a request which writes a file fail: 'If-Match' and 'If-None-Match'.
+   * 'If-Match: *' requires an existing file and 'If-None-Match: *' a missing one.
+   * An entity tag of 'If-Match' must strongly match.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {HttpCache|null} cache Validators of the current file or null if it does not exist.
+   * @returns {boolean} true if the response should be 412, otherwise false.
+   */
+  static isPreconditionFailed(req, cache) {
+    const ifMatch = req.headers['if-match']
+    if (ifMatch !== undefined && (cache === null
+      || (ifMatch.trim() !== '*' && !(ifMatch.match(REG_EXP_ETAG) ?? []).some(e => !e.startsWith('W/') && e === cache.etag)))) {
+      return true
+    }
+    const ifNoneMatch = req.headers['if-none-match']
+    if (ifNoneMatch === undefined || cache === null) {
+      return false
+    }
+    const etag = opaque(cache.etag)
+    return ifNoneMatch.trim() === '*' || (ifNoneMatch.match(REG_EXP_ETAG) ?? []).some(e => opaque(e) === etag)
+  }
+
+  /**
+   * Construct a new instance.
+   * @param {string} etag Entity tag.
+   * @param {number|null} mtime Modification time in seconds or null if unknown.
+   */
+  constructor(etag, mtime) {
+    this.etag = etag
+    this.mtime = mtime
+  }
+
+  /**
+   * Set HTTP response headers.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @returns {void}
+   */
+  setHeader(res) {
+    res.setHeader('ETag', this.etag)
+    if (this.mtime !== null) {
+      res.setHeader('Last-Modified', this.lastModified)
+    }
+  }
+
+  /**
+   * Test if the client already has the current representation of the file.
+   * 'If-None-Match' takes precedence over 'If-Modified-Since'.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @returns {boolean} true if the response should be 304, otherwise false.
+   */
+  isNotModified(req) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return false
+    }
+    const ifNoneMatch = req.headers['if-none-match']
+    if (ifNoneMatch !== undefined) {
+      if (ifNoneMatch.trim() === '*') {
+        return true
+      }
+      const etag = opaque(this.etag)
+      return (ifNoneMatch.match(REG_EXP_ETAG) ?? []).some(e => opaque(e) === etag)
+    }
+    const since = parseDate(req.headers['if-modified-since'])
+    return !isNaN(since) && this.mtime !== null && this.mtime <= since
+  }
+
+  /**
+   * Test if a range request can be fulfilled according to its 'If-Range' header.
+   * An entity tag must strongly match and a date must be exactly the modification time.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @returns {boolean} true if there is no 'If-Range' header or if the file has not changed, otherwise false.
+   */
+  matchIfRange(req) {
+    const ifRange = req.headers['if-range']
+    if (ifRange === undefined) {
+      return true
+    }
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+      return !ifRange.startsWith('W/') && !this.etag.startsWith('W/') && ifRange.trim() === this.etag
+    }
+    return this.mtime !== null && parseDate(ifRange) === this.mtime
+  }
+}
@@ -0,0 +1,292 @@
+import { createHash } from 'crypto'
+import { createReadStream } from 'fs'
+
+/**
+ * Hash algorithms of Node.js by digest algorithm name (RFC 9530 and RFC 3230).
+ */
+const ALGORITHMS = {
+  'sha-256': 'sha256',
+  'sha-512': 'sha512',
+  'md5': 'md5',
+}
+
+/**
+ * Digest algorithm names by length of the hexadecimal digest, for the checksums lists.
+ */
+const HEX_LENGTHS = {
+  64: 'sha-256',
+  128: 'sha-512',
+  32: 'md5',
+}
+
+/**
+ * Maximum number of file digests kept in memory.
+ */
+const CACHE_SIZE = 1024
+
+/**
+ * File digests by pathname, size, modification time and algorithm.
+ * @type {Map<string, HttpDigest>}
+ */
+const CACHE = new Map()
+
+/**
+ * Digest requested by a client.
+ * @typedef WantedDigest
+ * @property {string} algorithm Digest algorithm.
+ * @property {'Repr-Digest'|'Digest'} header Header of the response: 'Repr-Digest' if the client sent
+ * 'Want-Repr-Digest' (RFC 9530), 'Digest' if it sent 'Want-Digest' (RFC 3230).
+ */
+
+/**
+ * Parse the preferences of a 'Want-*' header: 'sha-256=10, sha-512=3' (RFC 9530)
+ * or 'SHA-256;q=0.3, MD5' (RFC 3230).
+ * @param {string} header Header value.
+ * @param {boolean} legacy true for the RFC 3230 syntax.
+ * @returns {string|null} The supported algorithm with the highest preference or null if there is none.
+ */
+function preferred(header, legacy) {
+  let best = null
+  let bestWeight = 0
+  for (const element of header.split(',')) {
+    const [name, param = ''] = element.split(legacy ? ';' : '=')
+    const weight = legacy ? Number(/^\s*q=([\d.]+)\s*$/i.exec(param)?.[1] ?? (param.trim() === '' ? 1 : NaN))
+      : Number(param.trim())
+    const algorithm = HttpDigest.algorithm(name)
+    if (algorithm !== null && weight > bestWeight) {
+      best = algorithm
+      bestWeight = weight
+    }
+  }
+  return best
+}
+
+/**
+ * Digest of a content, as sent by the 'Content-Digest', 'Repr-Digest' or 'Digest' headers.
+ */
+export default class HttpDigest {
+  /**
+   * Default digest algorithm.
+   * @property
+   * @public
+   * @static
+   * @readonly
+   * @type {string}
+   */
+  static DEFAULT_ALGORITHM = 'sha-256'
+
+  /**
+   * Supported digest algorithms.
+   * @property
+   * @public
+   * @static
+   * @readonly
+   * @type {string[]}
+   */
+  static get ALGORITHMS() {
+    return Object.keys(ALGORITHMS)
+  }
+
+  /**
+   * Normalize a digest algorithm name: 'SHA256' or 'sha-256' gives 'sha-256'.
+   * @param {string} name Algorithm name.
+   * @returns {string|null} The algorithm or null if it is not supported.
+   */
+  static algorithm(name) {
+    const lower = (name ?? '').trim().toLowerCase()
+    return Object.keys(ALGORITHMS).find(a => a === lower || a.replace('-', '') === lower) ?? null
+  }
+
+  /**
+   * Create a hash to compute a digest incrementally.
+   * @param {string} [algorithm] Digest algorithm.
+   * @returns {import('crypto').Hash} The hash.
+   */
+  static createHash(algorithm = HttpDigest.DEFAULT_ALGORITHM) {
+    return createHash(ALGORITHMS[algorithm])
+  }
+
+  /**
+   * Create the hashes to compute the digests of several algorithms incrementally.
+   * @param {string[]} algorithms Digest algorithms, the duplicates are hashed once.
+   * @returns {Map<string, import('crypto').Hash>} The hashes by algorithm.
+   */
+  static createHashes(algorithms) {
+    return new Map([...new Set(algorithms)].map(a => [a, HttpDigest.createHash(a)]))
+  }
+
+  /**
+   * Compute the digests of hashes, which cannot be updated anymore.
+   * @param {Map<string, import('crypto').Hash>} hashes Hashes by algorithm.
+   * @returns {HttpDigest[]} The digests.
+   */
+  static fromHashes(hashes) {
+    return [...hashes].map(([algorithm, hash]) => new HttpDigest(algorithm, hash.digest()))
+  }
+
+  /**
+   * Test if computed digests agree with the expected ones.
+   * Unlike 'verify', an expected digest of an algorithm which is not computed fails.
+   * @param {HttpDigest[]} digests Computed digests.
+   * @param {HttpDigest[]} expected Expected digests.
+   * @returns {boolean} true if each expected digest equals the computed one of its algorithm, otherwise false.
+   */
+  static verifyAll(digests, expected) {
+    return expected.every(e => digests.some(d => d.algorithm === e.algorithm && d.value.equals(e.value)))
+  }
+
+  /**
+   * Test if the 'Content-Digest' or 'Digest' headers give digests, but none of a supported algorithm,
+   * so the content cannot be verified.
+   * @param {import('http').IncomingHttpHeaders} headers HTTP headers of a request or of a part.
+   * @returns {boolean} true if no given digest can be verified, otherwise false.
+   */
+  static isUnverifiable(headers) {
+    return [headers['content-digest'], headers['digest']].some(h => (h ?? '').trim() !== '')
+      && HttpDigest.fromHeaders(headers).length === 0
+  }
+
+  /**
+   * Parse the digests of the 'Content-Digest' (sha-256=:base64:) and 'Digest' (SHA-256=base64) headers.
+   * The unsupported algorithms are ignored.
+   * @param {import('http').IncomingHttpHeaders} headers HTTP headers of a request or of a part.
+   * @returns {HttpDigest[]} The digests.
+   */
+  static fromHeaders(headers) {
+    const digests = []
+    for (const header of [headers['content-digest'], headers['digest']]) {
+      for (const element of (header ?? '').split(',')) {
+        const equal = element.indexOf('=')
+        const algorithm = HttpDigest.algorithm(element.substring(0, equal))
+        if (equal !== -1 && algorithm !== null) {
+          const value = element.substring(equal + 1).trim().replace(/^:|:$/g, '')
+          digests.push(new HttpDigest(algorithm, Buffer.from(value, 'base64')))
+        }
+      }
+    }
+    return digests
+  }
+
+  /**
+   * Find the digest requested by the 'Want-Repr-Digest' or 'Want-Digest' header of a request.
+   * @param {import('http').IncomingHttpHeaders} headers HTTP headers of a request.
+   * @returns {WantedDigest|null} The requested digest or null if none is requested or supported.
+   */
+  static wanted(headers) {
+    for (const [name, header, legacy] of [
+      ['want-repr-digest', 'Repr-Digest', false],
+      ['want-digest', 'Digest', true],
+    ]) {
+      const algorithm = headers[name] === undefined ? null : preferred(headers[name], legacy)
+      if (algorithm !== null) {
+        return { algorithm, header }
+      }
+    }
+    return null
+  }
+
+  /**
+   * Parse a checksums list, as printed by 'sha256sum': a '<hexadecimal digest>  <filename>' line by file.
+   * The algorithm is found from the length of the digest.
+   * @param {string} str Checksums list.
+   * @returns {Map<string, HttpDigest>} Digests by filename.
+   */
+  static fromChecksums(str) {
+    const digests = new Map()
+    for (const line of str.split(/\r?\n/)) {
+      const matchs = /^\s*([0-9a-f]+)\s+\*?(.+?)\s*$/i.exec(line)
+      const algorithm = HEX_LENGTHS[matchs?.[1].length]
+      if (algorithm !== undefined) {
+        digests.set(matchs[2], new HttpDigest(algorithm, Buffer.from(matchs[1], 'hex')))
+      }
+    }
+    return digests
+  }
+
+  /**
+   * Compute the digest of a file.
+   * The digests are cached until the file size or modification time changes.
+   * @param {string} pathname File pathname.
+   * @param {import('fs').Stats} stats File stats.
+   * @param {string} [algorithm] Digest algorithm.
+   * @returns {Promise<HttpDigest>} The digest.
+   */
+  static async fromFile(pathname, stats, algorithm = HttpDigest.DEFAULT_ALGORITHM) {
+    const key = `${algorithm}:${stats.size}:${stats.mtimeMs}:${pathname}`
+    let digest = CACHE.get(key)
+    if (digest === undefined) {
+      const hash = HttpDigest.createHash(algorithm)
+      for await (const chunk of createReadStream(pathname)) {
+        hash.update(chunk)
+      }
+      digest = new HttpDigest(algorithm, hash.digest())
+      if (CACHE.size >= CACHE_SIZE) {
+        CACHE.clear()
+      }
+      CACHE.set(key, digest)
+    }
+    return digest
+  }
+
+  /**
+   * Digest algorithm.
+   * @property
+   * @public
+   * @readonly
+   * @type {string}
+   */
+  algorithm
+
+  /**
+   * Digest value.
+   * @property
+   * @public
+   * @readonly
+   * @type {Buffer}
+   */
+  value
+
+  /**
+   * Construct a new instance.
+   * @param {string} algorithm Digest algorithm.
+   * @param {Buffer} value Digest value.
+   */
+  constructor(algorithm, value) {
+    this.algorithm = algorithm
+    this.value = value
+  }
+
+  /**
+   * Test if the expected digests agree with this one.
+   * The digests of the other algorithms cannot be checked and are ignored.
+   * @param {HttpDigest[]} expected Expected digests.
+   * @returns {boolean} false if an expected digest of the same algorithm differs, otherwise true.
+   */
+  verify(expected) {
+    return expected.every(d => d.algorithm !== this.algorithm || d.value.equals(this.value))
+  }
+
+  /**
+   * Value of the 'Content-Digest' or 'Repr-Digest' header (RFC 9530): 'sha-256=:base64:'.
+   * @returns {string} Structured field value.
+   */
+  toString() {
+    return `${this.algorithm}=:${this.value.toString('base64')}:`
+  }
+
+  /**
+   * Value of the legacy 'Digest' header (RFC 3230): 'SHA-256=base64'.
+   * @returns {string} Header value.
+   */
+  toLegacyString() {
+    return `${this.algorithm.toUpperCase()}=${this.value.toString('base64')}`
+  }
+
+  /**
+   * Hexadecimal representation, as printed by 'sha256sum'.
+   * @returns {string} Hexadecimal digest.
+   */
+  toHex() {
+    return this.value.toString('hex')
+  }
+}
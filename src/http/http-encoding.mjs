@@ -0,0 +1,100 @@
+import * as zlib from 'zlib'
+
+/**
+ * Supported content codings ordered by preference.
+ */
+const ENCODINGS = ['br', 'gzip']
+
+/**
+ * Extensions of the precompressed files by content coding.
+ */
+const EXTENSIONS = {
+  br: '.br',
+  gzip: '.gz',
+}
+
+/**
+ * Regular expression of an element of the 'accept-encoding' header.
+ */
+const REG_EXP_CODING = /^\s*([^\s;]+)\s*(?:;\s*q\s*=\s*([0-9.]+))?\s*$/
+
+/**
+ * Class which represent the HTTP 'accept-encoding' request header.
+ * Support only 'br' and 'gzip' content codings.
+ */
+export default class HttpEncoding {
+  /**
+   * Supported content codings ordered by preference.
+   * @property
+   * @public
+   * @static
+   * @readonly
+   * @type {readonly string[]}
+   */
+  static get ENCODINGS() {
+    return ENCODINGS
+  }
+
+  /**
+   * Get the extension of the precompressed files of a content coding.
+   * @param {string} encoding Content coding.
+   * @returns {string} Extension with the leading dot.
+   */
+  static extension(encoding) {
+    return EXTENSIONS[encoding]
+  }
+
+  /**
+   * Create a stream which compress with the given content coding.
+   * @param {string} encoding Content coding.
+   * @returns {import('stream').Transform} Compression stream.
+   */
+  static createCompressor(encoding) {
+    if (encoding === 'br') {
+      return zlib.createBrotliCompress({
+        params: {
+          // The default quality is too slow to compress on the fly
+          [zlib.constants.BROTLI_PARAM_QUALITY]: 4,
+        },
+      })
+    }
+    return zlib.createGzip()
+  }
+
+  /**
+   * Accepted content codings ordered by preference.
+   * @property
+   * @public
+   * @readonly
+   * @type {string[]}
+   */
+  accepted
+
+  /**
+   * New instance from a HTTP request.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   */
+  constructor(req) {
+    const qualities = new Map()
+    for (const element of (req.headers['accept-encoding'] ?? '').split(',')) {
+      const matchs = REG_EXP_CODING.exec(element)
+      if (matchs !== null) {
+        qualities.set(matchs[1].toLowerCase(), matchs[2] === undefined ? 1 : parseFloat(matchs[2]))
+      }
+    }
+    const quality = encoding => qualities.get(encoding) ?? qualities.get('*') ?? 0
+    this.accepted = ENCODINGS.filter(e => quality(e) > 0)
+      // Stable sort keep the server preference between the same qualities
+      .sort((e1, e2) => quality(e2) - quality(e1))
+  }
+
+  /**
+   * Choose the content coding of the response.
+   * @param {Iterable<string>} [available] Available content codings.
+   * @returns {string|null} The chosen content coding or null for the identity.
+   */
+  negotiate(available = ENCODINGS) {
+    const set = new Set(available)
+    return this.accepted.find(e => set.has(e)) ?? null
+  }
+}
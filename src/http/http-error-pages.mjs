@@ -0,0 +1,188 @@
+import { randomUUID } from 'crypto'
+import * as fs from 'fs/promises'
+import * as http from 'http'
+import * as path from 'path'
+import { acceptQuality, defaultValues, escapeHtml } from '../util.mjs'
+import HttpError from './http-error.mjs'
+
+/**
+ * Template of the error pages if the directory has no template for the status.
+ */
+const DEFAULT_TEMPLATE = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>{{status}} {{title}}</title>
+</head>
+<body>
+<h1>{{status}} {{title}}</h1>
+<p>{{message}}</p>
+<hr>
+<p><small>Request {{requestId}}</small></p>
+</body>
+</html>
+`
+
+/**
+ * Filename of a template: the status like '404.html', or 'error.html' for all the statuses.
+ */
+const REG_EXP_TEMPLATE = /^(\d{3}|error)\.html$/
+
+/**
+ * Request identifier given by a client or a proxy, reused if it is a short token.
+ */
+const REG_EXP_REQUEST_ID = /^[\w.:-]{1,128}$/
+
+/**
+ * Symbol to store the request identifier into the HTTP request.
+ */
+const REQUEST_ID = Symbol('REQUEST_ID')
+
+/**
+ * Error pages options.
+ * @typedef HttpErrorPagesOptions
+ * @property {string|null} dir Directory of the templates: '<status>.html', like '404.html', or 'error.html'
+ * for the statuses without template. The placeholders '{{status}}', '{{title}}', '{{message}}' and '{{requestId}}'
+ * are replaced by their escaped value.
+ * @property {Pick<Console, 'error'>} logger Logger of the errors, like a HttpLogger.
+ */
+
+/**
+ * Identifier of a request: the 'X-Request-Id' header or a new UUID.
+ * @param {http.IncomingMessage} req HTTP request.
+ * @returns {string} The request identifier.
+ */
+function requestId(req) {
+  if (req[REQUEST_ID] === undefined) {
+    const header = req.headers['x-request-id']?.trim()
+    req[REQUEST_ID] = header !== undefined && REG_EXP_REQUEST_ID.test(header) ? header : randomUUID()
+  }
+  return req[REQUEST_ID]
+}
+
+/**
+ * Central error pipeline: map the errors to HTTP statuses, log them with a request identifier
+ * and answer an error page, as JSON or as HTML according to the 'Accept' header.
+ */
+export default class HttpErrorPages {
+  /**
+   * Merge the given error pages options with the defaults.
+   * @param {Partial<HttpErrorPagesOptions>} [options] Error pages options.
+   * @returns {HttpErrorPagesOptions} The error pages options merged with the defaults.
+   */
+  static getOptions(options) {
+    return defaultValues([
+      { key: 'dir', d: null },
+      { key: 'logger', d: console },
+    ], { ...options })
+  }
+
+  /**
+   * Error pages options.
+   * @property
+   * @public
+   * @readonly
+   * @type {HttpErrorPagesOptions}
+   */
+  options
+
+  /**
+   * Construct a new instance.
+   * The templates must be read with 'init'.
+   * @param {Partial<HttpErrorPagesOptions>} [options] Error pages options.
+   */
+  constructor(options) {
+    this.options = HttpErrorPages.getOptions(options)
+  }
+
+  /**
+   * Read the templates of the directory.
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (this.options.dir === null) {
+      return
+    }
+    for (const name of await fs.readdir(this.options.dir)) {
+      const matchs = REG_EXP_TEMPLATE.exec(name)
+      if (matchs !== null) {
+        this._templates.set(matchs[1], await fs.readFile(path.join(this.options.dir, name), 'utf-8'))
+      }
+    }
+  }
+
+  /**
+   * Error middleware of the server: log the error and answer its status.
+   * The 5xx errors are logged with their stack, the others with their message, or the one of the converted error.
+   * If the response headers are already sent, the response is destroyed so the client sees it is incomplete.
+   * @param {unknown} error Thrown error.
+   * @param {http.IncomingMessage} req HTTP request.
+   * @param {http.ServerResponse} res HTTP response.
+   * @returns {void}
+   */
+  handler = (error, req, res) => {
+    const httpError = HttpError.from(error, req.method)
+    const id = requestId(req)
+    this.options.logger.error('[%s] %s %s: %s', id, req.method, req.url,
+      httpError.status >= 500 ? (httpError.cause ?? httpError).stack : (httpError.cause ?? httpError).message)
+    if (res.headersSent) {
+      res.destroy()
+      return
+    }
+    this.send(req, res, httpError.status, httpError.message)
+  }
+
+  /**
+   * Handler of the server, added after the others: answer an error page if a handler has only set an error status.
+   * @param {http.IncomingMessage} req HTTP request.
+   * @param {http.ServerResponse} res HTTP response.
+   * @returns {void}
+   */
+  render = (req, res) => {
+    if (!res.headersSent && res.statusCode >= 400) {
+      this.send(req, res, res.statusCode, http.STATUS_CODES[res.statusCode] ?? '')
+    }
+  }
+
+  /**
+   * Answer an error page: JSON if the client prefers it to HTML, otherwise the template of the status.
+   * The headers already set, like 'WWW-Authenticate', are kept.
+   * @param {http.IncomingMessage} req HTTP request.
+   * @param {http.ServerResponse} res HTTP response.
+   * @param {number} status HTTP status code.
+   * @param {string} message Error message shown to the client.
+   * @returns {void}
+   */
+  send(req, res, status, message) {
+    const id = requestId(req)
+    const accept = req.headers.accept
+    let body, type
+    if (acceptQuality(accept, 'application/json') > acceptQuality(accept, 'text/html')) {
+      body = JSON.stringify({ error: { status, message, requestId: id } })
+      type = 'application/json; charset=utf-8'
+    } else {
+      const values = { status, title: http.STATUS_CODES[status] ?? '', message, requestId: id }
+      const template = this._templates.get(String(status)) ?? this._templates.get('error') ?? DEFAULT_TEMPLATE
+      body = template.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => Object.hasOwn(values, key)
+        ? escapeHtml(String(values[key]))
+        : placeholder)
+      type = 'text/html; charset=utf-8'
+    }
+    res.writeHead(status, {
+      'Content-Type': type,
+      'Content-Length': Buffer.byteLength(body),
+      'Cache-Control': 'no-store',
+      'X-Request-Id': id,
+    })
+    res.end(req.method === 'HEAD' ? undefined : body)
+  }
+
+  /**
+   * Templates by status, or 'error' for all the statuses.
+   * @property
+   * @protected
+   * @readonly
+   * @type {Map<string, string>}
+   */
+  _templates = new Map()
+}
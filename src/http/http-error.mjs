@@ -0,0 +1,78 @@
+import * as http from 'http'
+
+/**
+ * HTTP status codes of the system errors, by error code.
+ */
+const STATUS_BY_CODE = {
+  EACCES: 403,
+  EPERM: 403,
+  EROFS: 403,
+  ENOENT: 404,
+  ENOTDIR: 404,
+  EEXIST: 409,
+  ENOTEMPTY: 409,
+  EISDIR: 409,
+  EFBIG: 413,
+  ENOSPC: 507,
+  EDQUOT: 507,
+  ERR_INVALID_URL: 400,
+  ERR_STREAM_PREMATURE_CLOSE: 400,
+}
+
+/**
+ * HTTP status codes of the system errors of the requests which create or replace a resource, when they differ:
+ * a file in the target path is a conflict, the client can resolve it (RFC 4918).
+ */
+const WRITE_STATUS_BY_CODE = {
+  ENOTDIR: 409,
+}
+
+/**
+ * Methods of the requests which create or replace a resource, at the request URL or at the destination.
+ */
+const WRITE_METHODS = new Set(['PUT', 'POST', 'PATCH', 'MKCOL', 'COPY', 'MOVE'])
+
+/**
+ * Error which should be answered with a HTTP status code.
+ */
+export default class HttpError extends Error {
+  /**
+   * Convert any error into a HTTP error: the system errors get the status of their code,
+   * the parse errors get 400 and the others 500.
+   * The message of a converted error is the status text, so the internal details, like the paths,
+   * are not disclosed to the client. The original error is the cause.
+   * @param {unknown} error Thrown error.
+   * @param {string} [method] Method of the request, the writes get 409 instead of 404 for a file in the path.
+   * @returns {HttpError} The error itself if it is a HTTP error, otherwise a new HTTP error.
+   */
+  static from(error, method) {
+    if (error instanceof HttpError) {
+      return error
+    }
+    const status = (WRITE_METHODS.has(method) ? WRITE_STATUS_BY_CODE[error?.code] : undefined)
+      ?? STATUS_BY_CODE[error?.code]
+      ?? (error instanceof SyntaxError || error instanceof URIError ? 400 : 500)
+    return new HttpError(status, http.STATUS_CODES[status], { cause: error })
+  }
+
+  /**
+   * HTTP status code of the response.
+   * @property
+   * @public
+   * @readonly
+   * @type {number}
+   */
+  status
+
+  /**
+   * Construct a new instance.
+   * @param {number} status HTTP status code of the response.
+   * @param {string} message Error message.
+   * @param {ErrorOptions} [options] Error options, like the cause.
+   */
+  constructor(status, message, options) {
+    super(message, options)
+    this.name = 'HttpError'
+    this.status = status
+  }
+}
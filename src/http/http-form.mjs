@@ -1,13 +1,27 @@
+import { randomBytes } from 'crypto'
+import * as fs from 'fs/promises'
 import { Writable } from 'stream'
-import { splitBuffer } from '../util.mjs'
-import { END_EVENT, asyncQueue, asyncParallel } from '../async.mjs'
+import { END_EVENT, asyncParallel } from '../async.mjs'
+import { defaultValues, moveFile } from '../util.mjs'
 import TmpDir from '../tmp-dir.mjs'
+import HttpDigest from './http-digest.mjs'
+import HttpError from './http-error.mjs'
+
+/**
+ * Empty buffer.
+ */
+const EMPTY = Buffer.alloc(0)
 
 /**
  * Buffer representation of the end of line characters.
  */
 const EOL = Buffer.from('\r\n')
 
+/**
+ * Buffer representation of the end of the headers of a part: an empty line.
+ */
+const HEADERS_END = Buffer.from('\r\n\r\n')
+
 /**
  * Buffer representation of the separation characters.
  * Theses characters appear every start of a boundary and at the end of the last boundary.
@@ -15,25 +29,270 @@ const EOL = Buffer.from('\r\n')
 const SEP = Buffer.from('--')
 
 /**
- * Regular expression to get the filename of a file submitted by a form.
+ * Maximum size of the headers of a part.
+ */
+const MAX_HEADERS_SIZE = 16 * 1024
+
+/**
+ * Regular expression to read the parameters of a header value: '; name="value"' or '; name=value'.
+ * A quoted value may contain semicolons and escaped characters.
+ */
+const REG_EXP_PARAM = /;\s*([^\s=;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g
+
+/**
+ * Regular expression to read an extended parameter value (RFC 5987): charset'language'percent-encoded-value.
+ */
+const REG_EXP_EXT_VALUE = /^([^']*)'[^']*'(.*)$/
+
+/**
+ * Maximum size of a text field, which is kept in memory.
+ */
+const MAX_FIELD_SIZE = 1024 * 1024
+
+/**
+ * Node.js encodings of the charsets supported by the extended parameters.
+ */
+const CHARSETS = {
+  'utf-8': 'utf-8',
+  'iso-8859-1': 'latin1',
+}
+
+/**
+ * Name of the text field which contains the checksums of the files, as printed by 'sha256sum'.
+ */
+const CHECKSUM_FIELD = 'checksum'
+
+/**
+ * Content type of a part without 'Content-Type' header.
+ */
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream'
+
+/**
+ * Basename generator of the temporary files: hidden and unique, they may be staged next to other files.
+ * @type {import('../tmp-dir.mjs').BasenameGenerator}
+ */
+const TMP_GENERATOR = () => `.upload.${randomBytes(8).toString('hex')}.part`
+
+/**
+ * Default temporary directory to download submitted files.
+ */
+const TMP_DIR = new TmpDir(process.cwd(), TMP_GENERATOR)
+
+/**
+ * Number of forms being read and size in bytes of the temporary files not yet moved or removed.
+ */
+const USAGE = {
+  forms: 0,
+  bytes: 0,
+}
+
+/**
+ * States of the parser.
+ * @enum {number}
+ */
+const State = {
+  /** Before the first boundary. */
+  PREAMBLE: 0,
+  /** After a boundary, waiting for an end of line or for the closing separation characters. */
+  BOUNDARY: 1,
+  /** Inside the headers of a part. */
+  HEADERS: 2,
+  /** Inside the content of a part. */
+  BODY: 3,
+  /** After the last boundary. */
+  EPILOGUE: 4,
+}
+
+/**
+ * Length of the longest suffix of a buffer which is a prefix of the pattern.
+ * Theses bytes may be the beginning of a pattern split across two chunks.
+ * @param {Buffer} buf Buffer where the pattern hasn't been found.
+ * @param {Buffer} pattern Searched pattern.
+ * @returns {number} Length of the partial match at the end of the buffer.
+ */
+function partialMatch(buf, pattern) {
+  for (let length = Math.min(buf.length, pattern.length - 1); length > 0; length--) {
+    if (buf.compare(pattern, 0, length, buf.length - length) === 0) {
+      return length
+    }
+  }
+  return 0
+}
+
+/**
+ * Parse the headers of a part.
+ * @param {string} str Header lines, without the empty line.
+ * @returns {Object<string, string>} Header values by lower case name.
+ */
+function parseHeaders(str) {
+  const headers = {}
+  for (const line of str.split('\r\n')) {
+    const sep = line.indexOf(':')
+    if (sep === -1) {
+      continue
+    }
+    headers[line.substring(0, sep).trim().toLowerCase()] = line.substring(sep + 1).trim()
+  }
+  return headers
+}
+
+/**
+ * Parse the parameters of a header value, like the 'Content-Disposition' header.
+ * @param {string} value Header value: 'form-data; name="field"; filename="file.txt"'.
+ * @returns {Object<string, string>} Unquoted parameter values by lower case name.
+ */
+function parseParams(value) {
+  const params = {}
+  for (const [, name, quoted, token] of value.matchAll(REG_EXP_PARAM)) {
+    params[name.toLowerCase()] = quoted === undefined ? token.trim() : quoted.replace(/\\(.)/g, '$1')
+  }
+  return params
+}
+
+/**
+ * Decode an extended parameter value (RFC 5987): UTF-8''%e2%82%ac.
+ * @param {string|undefined} value Extended parameter value.
+ * @returns {string|null} The decoded value or null if it is missing or its charset is unsupported.
+ */
+function decodeExtValue(value) {
+  const matchs = REG_EXP_EXT_VALUE.exec(value ?? '')
+  const charset = CHARSETS[matchs?.[1].toLowerCase()]
+  if (charset === undefined) {
+    return null
+  }
+  const bytes = matchs[2].replace(/%([0-9a-f]{2})|[^%]/gi, (c, hex) => hex === undefined ? c : String.fromCharCode(parseInt(hex, 16)))
+  return Buffer.from(bytes, 'latin1').toString(charset)
+}
+
+/**
+ * Keep the last segment of a submitted filename, some clients send a full path.
+ * @param {string} filename Submitted filename.
+ * @returns {string|null} The base name or null if it cannot name a file.
+ */
+function basename(filename) {
+  const name = filename.split(/[\\/]/).pop()
+  return name === '' || name === '.' || name === '..' ? null : name
+}
+
+/**
+ * Incremental decoder of a 'Content-Transfer-Encoding'.
+ * @typedef Decoder
+ * @property {(data: Buffer) => Buffer} write Decode a chunk, the incomplete sequence at its end is kept for the next one.
+ * @property {() => Buffer} end Decode the kept bytes.
+ */
+
+/**
+ * Incremental base64 decoder.
+ * @returns {Decoder} The decoder.
  */
-const REG_EXP_FILENAME = /filename="(.+)"\s*$/
+function base64Decoder() {
+  let rest = ''
+  return {
+    write(data) {
+      const str = rest + data.toString('latin1').replace(/[^A-Za-z0-9+/]/g, '')
+      const length = str.length - str.length % 4
+      rest = str.substring(length)
+      return Buffer.from(str.substring(0, length), 'base64')
+    },
+    end() {
+      return Buffer.from(rest, 'base64')
+    },
+  }
+}
+
+/**
+ * Incremental quoted-printable decoder.
+ * @returns {Decoder} The decoder.
+ */
+function quotedPrintableDecoder() {
+  let rest = EMPTY
+  return {
+    write(data) {
+      const buf = rest.length === 0 ? data : Buffer.concat([rest, data])
+      const out = Buffer.allocUnsafe(buf.length)
+      let length = 0
+      let i = 0
+      rest = EMPTY
+      while (i < buf.length) {
+        if (buf[i] !== 0x3d) {
+          out[length++] = buf[i++]
+        } else if (i + 1 < buf.length && buf[i + 1] === 0x0a) {
+          // Soft line break with a bare line feed
+          i += 2
+        } else if (i + 2 >= buf.length) {
+          rest = Buffer.from(buf.subarray(i))
+          break
+        } else if (buf[i + 1] === 0x0d && buf[i + 2] === 0x0a) {
+          // Soft line break
+          i += 3
+        } else {
+          const byte = parseInt(buf.toString('latin1', i + 1, i + 3), 16)
+          if (isNaN(byte)) {
+            out[length++] = buf[i++]
+          } else {
+            out[length++] = byte
+            i += 3
+          }
+        }
+      }
+      return out.subarray(0, length)
+    },
+    end() {
+      return rest
+    },
+  }
+}
+
+/**
+ * Create the decoder of a 'Content-Transfer-Encoding'.
+ * @param {string} [encoding] Content transfer encoding of a part.
+ * @returns {Decoder|null} The decoder or null if the content is not encoded.
+ * @throws {Error} If the encoding is not supported.
+ */
+function createDecoder(encoding = 'binary') {
+  switch (encoding.toLowerCase()) {
+    case '7bit':
+    case '8bit':
+    case 'binary':
+      return null
+    case 'base64':
+      return base64Decoder()
+    case 'quoted-printable':
+      return quotedPrintableDecoder()
+    default:
+      throw new HttpError(400, `Unsupported Content-Transfer-Encoding: ${encoding}`)
+  }
+}
 
 /**
- * Regular expression to get the mime-type of a file submitted by a form.
+ * Upload limits.
+ * @typedef FormLimits
+ * @property {number} fileSize Maximum size of a submitted file in bytes.
+ * @property {number} requestSize Maximum size of the request content in bytes.
+ * @property {number} parts Maximum number of parts, files and text fields.
+ * @property {number} freeSpace Minimum free space in bytes to keep on the disk of the temporary files.
  */
-const REG_EXP_CONTENT_TYPE = /(\S+\/\S+)\s*$/
 
 /**
- * Temporary directory to download submitted files.
+ * Form options.
+ * @typedef HttpFormOptions
+ * @extends {import('stream').WritableOptions}
+ * @property {Partial<FormLimits>} [limits] Upload limits.
+ * @property {string} [algorithm] Digest algorithm of the files.
+ * @property {HttpDigest[]} [digests] Expected digests of the whole content, from the request headers.
+ * @property {string} [dir] Directory of the temporary files, on the filesystem of their destination
+ * so they are moved with a rename.
  */
-const TMP_DIR = new TmpDir(process.cwd(), () => '.' + TmpDir.DEFAULT_GENERATOR())
 
 /**
- * Symbol to keep sure there aren't property name collision.
- * This symbol can retrieve a private method.
+ * Part of a form being read.
+ * @typedef Part
+ * @property {string|null} name Field name.
+ * @property {HttpFile|null} file Submitted file or null for a text field.
+ * @property {Buffer[]} chunks Content of a text field.
+ * @property {number} size Size of the content of a text field.
+ * @property {Decoder|null} decoder Decoder of the content transfer encoding.
  */
-const NEW_FILE_METHOD = Symbol('NEW FILE METHOD')
 
 /**
  * Submitted file representation.
@@ -55,6 +314,14 @@ class HttpFile {
    */
   contentType
 
+  /**
+   * Headers of the part, by lower case name.
+   * @property
+   * @readonly
+   * @type {Object<string, string>}
+   */
+  headers
+
   /**
    * Write stream to the temporary file.
    * @property
@@ -63,6 +330,31 @@ class HttpFile {
    */
   stream
 
+  /**
+   * Digest of the content, computed once the file is ended.
+   * @property
+   * @readonly
+   * @type {HttpDigest|null}
+   */
+  digest = null
+
+  /**
+   * Digests of the content, of the form algorithm then of the algorithms of the part headers,
+   * computed once the file is ended.
+   * @property
+   * @readonly
+   * @type {HttpDigest[]}
+   */
+  digests = []
+
+  /**
+   * Size of the written content in bytes.
+   * @property
+   * @readonly
+   * @type {number}
+   */
+  size = 0
+
   /**
    * Pathname to the temporary file.
    * @property
@@ -76,26 +368,38 @@ class HttpFile {
   /**
    * Create a new submitted file.
    * @param {string} filename Filename submitted
-   * @param {string} contentType Content type submitted.
+   * @param {Object<string, string>} headers Headers of the part.
+   * @param {string} algorithm Digest algorithm.
+   * @param {TmpDir} tmpDir Directory of the temporary file.
    */
-  constructor(filename, contentType) {
+  constructor(filename, headers, algorithm, tmpDir) {
     this.filename = filename
-    this.contentType = contentType
-    this.stream = TMP_DIR.createWriteStream()
+    this.contentType = headers['content-type'] ?? DEFAULT_CONTENT_TYPE
+    this.headers = headers
+    this.stream = tmpDir.createWriteStream({ flags: 'wx' })
+    this._hashes = HttpDigest.createHashes([algorithm, ...HttpDigest.fromHeaders(headers).map(d => d.algorithm)])
   }
 
   /**
    * Write into the temporary file.
-   * @param {Uint8Array|string} data Data to write.
-   * @param {(err?: Error) => void} callback Call when write can be redo.
+   * @param {Uint8Array} data Data to write.
+   * @returns {boolean} false if the caller should wait for the 'drain' event of the stream, otherwise true.
+   */
+  write(data) {
+    this.size += data.length
+    USAGE.bytes += data.length
+    this._hashes.forEach(hash => hash.update(data))
+    return this.stream.write(data)
+  }
+
+  /**
+   * End the temporary write file stream and compute the digests.
    * @returns {void}
    */
-  write(data, callback) {
-    if (!this.stream.write(data)) {
-      this.stream.once('drain', callback)
-    } else {
-      queueMicrotask(callback)
-    }
+  end() {
+    this.stream.end()
+    this.digests = HttpDigest.fromHashes(this._hashes)
+    this.digest = this.digests[0]
   }
 
   /**
@@ -106,12 +410,86 @@ class HttpFile {
   close(callback) {
     this.stream.close(callback)
   }
+
+  /**
+   * Move the temporary file to its destination.
+   * @param {string} dest Absolute path of the destination.
+   * @param {string} [conflict] Policy if the destination exists, see 'moveFile'.
+   * @returns {Promise<string>} Pathname of the moved file, it differs from the destination if the file is renamed.
+   */
+  async move(dest, conflict) {
+    const pathname = await moveFile(this.path, dest, conflict)
+    this._release()
+    return pathname
+  }
+
+  /**
+   * Remove the temporary file, if it is not moved.
+   * @returns {Promise<void>}
+   */
+  async remove() {
+    await fs.rm(this.path, { force: true })
+    this._release()
+  }
+
+  /**
+   * Stop counting the temporary file in the usage, once.
+   * @protected
+   * @returns {void}
+   */
+  _release() {
+    if (!this._released) {
+      this._released = true
+      USAGE.bytes -= this.size
+    }
+  }
+
+  /**
+   * Hashes of the written content by algorithm.
+   * @property
+   * @protected
+   * @readonly
+   * @type {Map<string, import('crypto').Hash>}
+   */
+  _hashes
+
+  /**
+   * Whether the temporary file is moved or removed.
+   * @property
+   * @protected
+   * @type {boolean}
+   */
+  _released = false
 }
 
 /**
  * multipart/form-data representation.
+ * The content is parsed incrementally: a boundary or a header block can be split across any number of chunks.
  */
 export default class HttpForm extends Writable {
+  /**
+   * Merge the given upload limits with the defaults: no limit.
+   * @param {Partial<FormLimits>} [limits] Upload limits.
+   * @returns {FormLimits} The upload limits merged with the defaults.
+   */
+  static getLimits(limits) {
+    return defaultValues([
+      { key: 'fileSize', d: Infinity },
+      { key: 'requestSize', d: Infinity },
+      { key: 'parts', d: Infinity },
+      { key: 'freeSpace', d: 0 },
+    ], { ...limits })
+  }
+
+  /**
+   * Number of forms being read and size in bytes of their temporary files, for the monitoring.
+   * A form is counted from its first chunk until it is closed, a file until it is moved or removed.
+   * @returns {{ forms: number, bytes: number }} Current usage.
+   */
+  static usage() {
+    return { ...USAGE }
+  }
+
   /**
    * Form boundary
    * @property
@@ -130,6 +508,16 @@ export default class HttpForm extends Writable {
    */
   files
 
+  /**
+   * Values of the text fields by name.
+   * A field submitted several times keeps its last value.
+   * @property
+   * @public
+   * @readonly
+   * @type {Map<string, string>}
+   */
+  fields
+
   /**
    * Last readed file.
    * @property
@@ -141,77 +529,414 @@ export default class HttpForm extends Writable {
     return this.files[this.files.length - 1]
   }
 
+  /**
+   * Digest algorithm of the files.
+   * @property
+   * @public
+   * @readonly
+   * @type {string}
+   */
+  algorithm
+
+  /**
+   * Upload limits, a breach aborts the parsing.
+   * @property
+   * @public
+   * @readonly
+   * @type {FormLimits}
+   */
+  limits
+
   /**
    * New multipart/form-data from the HTTP request content type.
    * @param {string} contentType HTTP request content type.
-   * @param {import('stream').WritableOptions} [options] Writable options.
+   * @param {HttpFormOptions} [options] Writable options, upload limits, digests and temporary directory.
+   * @throws {HttpError} If the content type has no boundary.
    */
-  constructor(contentType, options) {
+  constructor(contentType, { limits, algorithm = HttpDigest.DEFAULT_ALGORITHM, digests = [], dir, ...options } = {}) {
     super(options)
-    this.boundary = Buffer.from('--' + contentType.match(/boundary=([^;]+)/)[1])
+    this.limits = HttpForm.getLimits(limits)
+    this.algorithm = algorithm
+    this._tmpDir = dir === undefined ? TMP_DIR : new TmpDir(dir, TMP_GENERATOR)
+    this._digests = digests
+    this._hashes = digests.length === 0 ? null : HttpDigest.createHashes(digests.map(d => d.algorithm))
+    const matchs = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType ?? '')
+    if (matchs === null) {
+      throw new HttpError(400, 'multipart/form-data boundary is missing')
+    }
+    this.boundary = Buffer.from('--' + (matchs[1] ?? matchs[2]))
     this.files = []
+    this.fields = new Map()
+    this._delimiter = Buffer.concat([EOL, this.boundary])
+  }
+
+  /**
+   * Read the free space of the disk of the temporary files if a minimum must be kept.
+   * @protected
+   * @param {(err?: Error) => void} callback Call when the form can be written.
+   * @returns {void}
+   */
+  _construct(callback) {
+    if (this.limits.freeSpace <= 0) {
+      callback()
+      return
+    }
+    fs.statfs(this._tmpDir.dir).then(stats => {
+      this._freeSpace = stats.bavail * stats.bsize
+      callback(this._freeSpace < this.limits.freeSpace ? new HttpError(507, 'Not enough free disk space') : undefined)
+    }, callback)
   }
 
   /**
-   * Extract submitted files.
+   * Extract submitted files and text fields.
    * @protected
-   * @param {Buffer} chunk 
-   * @param {string} encoding 
-   * @param {() => void} callback
+   * @param {Buffer} chunk
+   * @param {string} encoding
+   * @param {(err?: Error) => void} callback
    * @returns {void}
    */
   _write(chunk, encoding, callback) {
-    const queue = []
-    let start = chunk.indexOf(this.boundary)
-    let end = 0
-    while (start !== -1) {
-      if (this.files.length > 0) {
-        queue.push(this.lastFile.write.bind(this.lastFile, chunk.subarray(end, start)))
-      }
-      if (SEP.compare(chunk, start + this.boundary.length, start + this.boundary.length + SEP.length) === 0) {
-        end = chunk.length
+    if (this._received === 0 && chunk.length > 0) {
+      USAGE.forms++
+      this.once('close', () => USAGE.forms--)
+    }
+    this._received += chunk.length
+    this._hashes?.forEach(hash => hash.update(chunk))
+    if (this._received > this.limits.requestSize) {
+      callback(new HttpError(413, 'Request content is too large'))
+      return
+    }
+    const buf = this._pending.length === 0 ? chunk : Buffer.concat([this._pending, chunk])
+    let blocked = null
+    let pos = 0
+    this._pending = EMPTY
+    while (pos < buf.length) {
+      if (this._state === State.PREAMBLE) {
+        // The first boundary may start the content without a leading end of line
+        const index = buf.indexOf(this.boundary, pos)
+        if (index === -1) {
+          this._pending = buf.subarray(buf.length - partialMatch(buf.subarray(pos), this.boundary))
+          break
+        }
+        pos = index + this.boundary.length
+        this._state = State.BOUNDARY
+      } else if (this._state === State.BOUNDARY) {
+        if (buf.length - pos < 2) {
+          this._pending = buf.subarray(pos)
+          break
+        }
+        if (buf.compare(SEP, 0, SEP.length, pos, pos + SEP.length) === 0) {
+          this._state = State.EPILOGUE
+          pos += SEP.length
+        } else if (buf.compare(EOL, 0, EOL.length, pos, pos + EOL.length) === 0) {
+          // The end of line stays in the header block, so a part without headers ends with HEADERS_END too
+          this._state = State.HEADERS
+        } else {
+          callback(new HttpError(400, 'Malformed multipart/form-data boundary'))
+          return
+        }
+      } else if (this._state === State.HEADERS) {
+        const index = buf.indexOf(HEADERS_END, pos)
+        if (index === -1) {
+          if (buf.length - pos > MAX_HEADERS_SIZE) {
+            callback(new HttpError(413, 'multipart/form-data part headers are too large'))
+            return
+          }
+          this._pending = buf.subarray(pos)
+          break
+        }
+        try {
+          this._newPart(parseHeaders(buf.toString('utf-8', pos, index)))
+        } catch (error) {
+          callback(error)
+          return
+        }
+        pos = index + HEADERS_END.length
+        this._state = State.BODY
+      } else if (this._state === State.BODY) {
+        const index = buf.indexOf(this._delimiter, pos)
+        const end = index === -1 ? buf.length - partialMatch(buf.subarray(pos), this._delimiter) : index
+        try {
+          if (end > pos && !this._partWrite(buf.subarray(pos, end))) {
+            blocked = this._part.file.stream
+          }
+          if (index !== -1) {
+            this._partEnd()
+          }
+        } catch (error) {
+          callback(error)
+          return
+        }
+        if (index === -1) {
+          this._pending = buf.subarray(end)
+          break
+        }
+        pos = index + this._delimiter.length
+        this._state = State.BOUNDARY
+      } else {
+        // Ignore the epilogue
         break
       }
-      end = this[NEW_FILE_METHOD](chunk, start + this.boundary.length + EOL.length)
-      start = chunk.indexOf(this.boundary, end)
     }
-    if (end < chunk.length) {
-      queue.push(this.lastFile.write.bind(this.lastFile, chunk.subarray(end)))
+    if (this._pending.length > 0 && this._pending.buffer === chunk.buffer) {
+      // Do not retain the whole chunk for a few bytes
+      this._pending = Buffer.from(this._pending)
+    }
+    // An ended stream does not emit 'drain', its remaining data is flushed before it closes
+    if (blocked === null || blocked.writableEnded) {
+      callback()
+    } else {
+      blocked.once('drain', callback)
     }
-    asyncQueue(queue).once(END_EVENT, callback)
   }
 
   /**
    * Close all the temporaries write streams.
    * @protected
-   * @param {() => void} callback Call when all the write streams are close.
+   * @param {(err?: Error) => void} callback Call when all the write streams are close.
    * @returns {void}
    */
   _final(callback) {
     asyncParallel(this.files.map(f => f.close.bind(f)))
-      .once(END_EVENT, callback)
-  }
-
-  /**
-   * This method is call when a new submitted file is discover.
-   * Read the firsts three lines to get the basics information on the submitted file.
-   * Add a new submmited file into the 'files' property.
-   * @param {Buffer} buf Reference buffer.
-   * @param {number} start Starting index where the search can begin.
-   * @returns {number} Buffer index after the firsts three lines are readed.
-   */
-  [NEW_FILE_METHOD](buf, start) {
-    const itLine = splitBuffer(buf, EOL, start)
-    // Content-Disposition: form-data; name="infile"; filename="file.txt"
-    const first = itLine.next().value
-    // Content-Type: text/plain
-    const second = itLine.next().value
-    // Empty line
-    const third = itLine.next().value
-    this.files.push(new HttpFile(
-      REG_EXP_FILENAME.exec(first.toString())[1],
-      REG_EXP_CONTENT_TYPE.exec(second.toString())[1]
-    ))
-    return third.end + EOL.length
+      .once(END_EVENT, () => {
+        if (this._state !== State.EPILOGUE) {
+          callback(new HttpError(400, 'Unexpected end of multipart/form-data'))
+          return
+        }
+        this._verify().then(() => callback(), callback)
+      })
+  }
+
+  /**
+   * Verify the digests given by the client: the request headers for the whole content,
+   * then the checksum field for the files.
+   * @protected
+   * @returns {Promise<void>}
+   * @throws {HttpError} If a digest does not match.
+   */
+  async _verify() {
+    if (this._hashes !== null && !HttpDigest.verifyAll(HttpDigest.fromHashes(this._hashes), this._digests)) {
+      throw new HttpError(400, 'Request content does not match its digest')
+    }
+    const checksums = HttpDigest.fromChecksums(this.fields.get(CHECKSUM_FIELD) ?? '')
+    for (const file of this.files) {
+      const expected = checksums.get(file.filename)
+      if (expected === undefined) {
+        continue
+      }
+      const digest = expected.algorithm === file.digest.algorithm
+        ? file.digest
+        : await HttpDigest.fromFile(file.path, await fs.stat(file.path), expected.algorithm)
+      if (!digest.verify([expected])) {
+        throw new HttpError(400, `${file.filename} does not match its checksum`)
+      }
+    }
+  }
+
+  /**
+   * Close the temporaries write streams and remove the temporaries files if the form cannot be read.
+   * @protected
+   * @param {Error|null} error Error which destroys the form.
+   * @param {(err?: Error|null) => void} callback Call when the temporaries files are removed.
+   * @returns {void}
+   */
+  _destroy(error, callback) {
+    if (error === null) {
+      callback(null)
+      return
+    }
+    asyncParallel(this.files.map(f => f.close.bind(f)))
+      .once(END_EVENT, () => {
+        Promise.all(this.files.map(f => f.remove()))
+          .then(() => callback(error), () => callback(error))
+      })
+  }
+
+  /**
+   * This method is call when the headers of a new part are read.
+   * A part with a filename is a submitted file, added into the 'files' property.
+   * A part with only a name is a text field, otherwise its content is ignored.
+   * @protected
+   * @param {Object<string, string>} headers Headers of the part.
+   * @returns {void}
+   * @throws {HttpError} If the content transfer encoding or the digest algorithm is not supported
+   * or if there are too many parts.
+   */
+  _newPart(headers) {
+    if (++this._parts > this.limits.parts) {
+      throw new HttpError(413, 'Too many parts')
+    }
+    if (HttpDigest.isUnverifiable(headers)) {
+      throw new HttpError(400, 'Unsupported digest algorithm')
+    }
+    const params = parseParams(headers['content-disposition'] ?? '')
+    const filename = decodeExtValue(params['filename*']) ?? params.filename
+    this._part = {
+      name: decodeExtValue(params['name*']) ?? params.name ?? null,
+      file: null,
+      chunks: [],
+      size: 0,
+      decoder: createDecoder(headers['content-transfer-encoding']),
+    }
+    if (filename !== undefined) {
+      const name = basename(filename)
+      if (name === null) {
+        // No file selected or an unusable filename
+        this._part.name = null
+      } else {
+        this._part.file = new HttpFile(name, headers, this.algorithm, this._tmpDir)
+        // A temporary file which cannot be written, like in a directory without write access, fails the form
+        this._part.file.stream.once('error', error => this.destroy(error))
+        this.files.push(this._part.file)
+      }
+    }
+  }
+
+  /**
+   * Write the content of the current part.
+   * @protected
+   * @param {Buffer} data Content, still encoded.
+   * @returns {boolean} false if the caller should wait for the 'drain' event of the file stream, otherwise true.
+   * @throws {HttpError} If a text field or a file is too large, or if the disk is full.
+   */
+  _partWrite(data) {
+    const { file, decoder } = this._part
+    if (this._part.name === null && file === null) {
+      return true
+    }
+    const decoded = decoder === null ? data : decoder.write(data)
+    if (file !== null) {
+      this._written += decoded.length
+      if (file.size + decoded.length > this.limits.fileSize) {
+        throw new HttpError(413, `${file.filename} is too large`)
+      }
+      if (this._freeSpace - this._written < this.limits.freeSpace) {
+        throw new HttpError(507, 'Not enough free disk space')
+      }
+      return file.write(decoded)
+    }
+    this._part.size += decoded.length
+    if (this._part.size > MAX_FIELD_SIZE) {
+      throw new HttpError(413, 'multipart/form-data text field is too large')
+    }
+    // The data may be a view of the whole chunk
+    this._part.chunks.push(Buffer.from(decoded))
+    return true
+  }
+
+  /**
+   * End the current part: close the stream of a file or store the value of a text field.
+   * @protected
+   * @returns {void}
+   * @throws {HttpError} If a text field or a file is too large, if the disk is full
+   * or if a file does not match the digest of its part headers.
+   */
+  _partEnd() {
+    const { name, file, decoder } = this._part
+    if (decoder !== null) {
+      this._part.decoder = null
+      this._partWrite(decoder.end())
+    }
+    if (file !== null) {
+      file.end()
+      if (!HttpDigest.verifyAll(file.digests, HttpDigest.fromHeaders(file.headers))) {
+        throw new HttpError(400, `${file.filename} does not match its digest`)
+      }
+    } else if (name !== null) {
+      this.fields.set(name, Buffer.concat(this._part.chunks).toString('utf-8'))
+    }
+    this._part = null
   }
+
+  /**
+   * Delimiter of the parts: an end of line followed by the boundary.
+   * @property
+   * @protected
+   * @readonly
+   * @type {Buffer}
+   */
+  _delimiter
+
+  /**
+   * Current state of the parser.
+   * @property
+   * @protected
+   * @type {State}
+   */
+  _state = State.PREAMBLE
+
+  /**
+   * Unparsed bytes of the previous chunk, which may be the beginning of a boundary or of the headers.
+   * @property
+   * @protected
+   * @type {Buffer}
+   */
+  _pending = EMPTY
+
+  /**
+   * Part being read or null before the first part.
+   * @property
+   * @protected
+   * @type {Part|null}
+   */
+  _part = null
+
+  /**
+   * Number of read parts.
+   * @property
+   * @protected
+   * @type {number}
+   */
+  _parts = 0
+
+  /**
+   * Number of received bytes.
+   * @property
+   * @protected
+   * @type {number}
+   */
+  _received = 0
+
+  /**
+   * Number of bytes written into the temporaries files.
+   * @property
+   * @protected
+   * @type {number}
+   */
+  _written = 0
+
+  /**
+   * Free space of the disk of the temporaries files when the form was created.
+   * @property
+   * @protected
+   * @type {number}
+   */
+  _freeSpace = Infinity
+
+  /**
+   * Directory of the temporary files.
+   * @property
+   * @protected
+   * @readonly
+   * @type {TmpDir}
+   */
+  _tmpDir
+
+  /**
+   * Expected digests of the whole content.
+   * @property
+   * @protected
+   * @readonly
+   * @type {HttpDigest[]}
+   */
+  _digests
+
+  /**
+   * Hashes of the whole content by algorithm of the expected digests, or null if there is no expected digest.
+   * @property
+   * @protected
+   * @readonly
+   * @type {Map<string, import('crypto').Hash>|null}
+   */
+  _hashes
 }
@@ -1,7 +1,11 @@
 import { Console } from 'console'
-import { USELESS_FUNCTION } from '../util.mjs'
+import { performance } from 'perf_hooks'
+import { format } from 'util'
+import { USELESS_FUNCTION, byteLength, tryDecodeURIComponent } from '../util.mjs'
 import { defaultValues } from '../util.mjs'
 import Enumeration from '../enumeration.mjs'
+import RotatingFile from '../rotating-file.mjs'
+import { USER } from './http-auth.mjs'
 
 /**
  * Logger options.
@@ -9,6 +13,26 @@ import Enumeration from '../enumeration.mjs'
  * @extends {NodeJS.ConsoleConstructorOptions}
  * @property {number} level Maximum logging level (use LEVELS enumeration).
  * @property {Intl.DateTimeFormatOptions} dateTimeFormat Date time format options.
+ * @property {'python'|'common'|'combined'|'json'} format Format of the access log (use FORMATS).
+ * @property {string|null} file File of the access log, or null to log to stdout.
+ * @property {Partial<import('../rotating-file.mjs').RotatingFileOptions>} rotation Rotation of the access log file.
+ */
+
+/**
+ * Access log entry of a request.
+ * @typedef AccessEntry
+ * @property {Date} time End of the request.
+ * @property {string} address Client address.
+ * @property {number} port Client port.
+ * @property {string|null} user Authenticated user name.
+ * @property {string} method HTTP method.
+ * @property {string} url Request URL, as sent by the client.
+ * @property {string} protocol HTTP version, like 'HTTP/1.1'.
+ * @property {number} status Response status code.
+ * @property {number} bytes Number of bytes of the response content.
+ * @property {number} duration Duration of the request in milliseconds.
+ * @property {string|null} referrer 'Referer' request header.
+ * @property {string|null} userAgent 'User-Agent' request header.
  */
 
 /**
@@ -23,6 +47,67 @@ import Enumeration from '../enumeration.mjs'
  */
 const INFO_METHOD = Symbol('INFO METHOD')
 
+/**
+ * Symbol to store the client address, the start time and the sent bytes into the HTTP request.
+ */
+const CLIENT = Symbol('CLIENT')
+
+/**
+ * Abbreviated month names of the Common Log Format.
+ */
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+/**
+ * Format a date like the Common Log Format: '10/Oct/2000:13:55:36 -0700'.
+ * @param {Date} date Date to format.
+ * @returns {string} Formatted date.
+ */
+function formatClfDate(date) {
+  const pad = n => String(n).padStart(2, '0')
+  const offset = -date.getTimezoneOffset()
+  return `${pad(date.getDate())}/${MONTHS[date.getMonth()]}/${date.getFullYear()}`
+    + `:${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+    + ` ${offset < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offset) / 60))}${pad(Math.abs(offset) % 60)}`
+}
+
+/**
+ * Escape a string of the Common Log Format like Apache: quotes, backslashes and non-printable characters.
+ * @param {string} str String to escape.
+ * @returns {string} Escaped string.
+ */
+function escapeClf(str) {
+  return str.replace(/["\\]|[^\x20-\x7e]/g, c => c === '"' || c === '\\'
+    ? '\\' + c
+    : '\\x' + c.charCodeAt(0).toString(16).padStart(2, '0'))
+}
+
+/**
+ * Access log formatters by name.
+ * @type {Object<string, (entry: AccessEntry, dateTimeFormat: Intl.DateTimeFormat) => string>}
+ */
+const FORMATS = {
+  // Inspired by the default one of the http.server Python module, with the authenticated user name
+  python: (entry, dateTimeFormat) => format('%s:%d %s [%s] "%s %s %s" %d',
+    entry.address,
+    entry.port,
+    entry.user ?? '-',
+    dateTimeFormat.format(entry.time),
+    entry.method,
+    tryDecodeURIComponent(entry.url),
+    entry.protocol,
+    entry.status,
+  ),
+  common: entry => `${entry.address} - ${escapeClf(entry.user ?? '-')} [${formatClfDate(entry.time)}]`
+    + ` "${escapeClf(`${entry.method} ${entry.url} ${entry.protocol}`)}" ${entry.status} ${entry.bytes || '-'}`,
+  combined: entry => FORMATS.common(entry)
+    + ` "${escapeClf(entry.referrer ?? '-')}" "${escapeClf(entry.userAgent ?? '-')}"`,
+  json: entry => JSON.stringify({
+    ...entry,
+    time: entry.time.toISOString(),
+    duration: Math.round(entry.duration * 1000) / 1000,
+  }),
+}
+
 /**
  * Enumeration of the differents levels of logging.
  */
@@ -40,6 +125,17 @@ export default class HttpLogger extends Console {
     return LEVELS
   }
 
+  /**
+   * Supported access log formats.
+   * @property
+   * @static
+   * @readonly
+   * @type {string[]}
+   */
+  static get FORMATS() {
+    return Object.keys(FORMATS)
+  }
+
   /**
    * Merge the given logger options with the defaults.
    * @param {LoggerOptions} [options] Options
@@ -57,6 +153,9 @@ export default class HttpLogger extends Console {
           timeStyle: 'short',
         },
       },
+      { key: 'format', d: 'python' },
+      { key: 'file', d: null },
+      { key: 'rotation', d: {} },
     ], options)
   }
 
@@ -67,6 +166,9 @@ export default class HttpLogger extends Console {
   constructor(options) {
     super(options = HttpLogger.getOptions(options))
     this._dateTimeFormat = new Intl.DateTimeFormat([], options.dateTimeFormat)
+    this._format = FORMATS[options.format]
+    this._options = options
+    this._access = options.file === null ? options.stdout : this._openAccess()
     for (let i = options.level + 1; i < LEVELS[Enumeration.SIZE]; i++) {
       this[LEVELS[i]] = USELESS_FUNCTION
     }
@@ -97,23 +199,93 @@ export default class HttpLogger extends Console {
   }
 
   /**
-   * Log HTTP message.
+   * Record the client address and the start time before the request is handled, then count the sent bytes.
+   * Must be the first handler, the address of a HTTPS or HTTP/2 request is lost once the client closes the connection.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @returns {void}
+   */
+  start = (req, res) => {
+    const client = {
+      address: req.socket.remoteAddress,
+      port: req.socket.remotePort,
+      start: performance.now(),
+      bytes: 0,
+    }
+    req[CLIENT] = client
+    const { write, end } = res
+    res.write = function (chunk, encoding) {
+      client.bytes += byteLength(chunk, encoding)
+      return write.apply(this, arguments)
+    }
+    res.end = function (chunk, encoding) {
+      client.bytes += byteLength(chunk, encoding)
+      return end.apply(this, arguments)
+    }
+  }
+
+  /**
+   * Log HTTP message to the access log, in the format of the options.
    * By default log level is active.
-   * The log message is inspired by the default one of the http.server Python module.
    * @param {import('http').IncomingMessage} req HTTP request.
    * @param {import('http').ServerResponse} res HTTP response.
    * @returns {void}
    */
   log(req, res) {
-    super.log('%s:%d [%s] "%s %s HTTP/%s" %d',
-      req.socket.remoteAddress,
-      req.socket.remotePort,
-      this._dateTimeFormat.format(Date.now()),
-      req.method,
-      decodeURIComponent(req.url),
-      req.httpVersion,
-      res.statusCode,
-    )
+    const client = req[CLIENT] ?? {
+      address: req.socket.remoteAddress,
+      port: req.socket.remotePort,
+      start: performance.now(),
+      bytes: 0,
+    }
+    this._access.write(this._format({
+      time: new Date(),
+      address: client.address,
+      port: client.port,
+      user: req[USER] ?? null,
+      method: req.method,
+      url: req.url,
+      protocol: `HTTP/${req.httpVersion}`,
+      status: res.statusCode,
+      bytes: client.bytes,
+      duration: performance.now() - client.start,
+      referrer: req.headers.referer ?? null,
+      userAgent: req.headers['user-agent'] ?? null,
+    }, this._dateTimeFormat) + '\n')
+  }
+
+  /**
+   * Open the access log file again, after it has been moved by an external tool,
+   * or after an error which made the access log fall back to the standard output.
+   * @returns {void}
+   */
+  reopen() {
+    if (this._access instanceof RotatingFile) {
+      this._access.reopen()
+    } else if (this._options.file !== null) {
+      this._access = this._openAccess()
+    }
+  }
+
+  /**
+   * Open the access log file.
+   * A write error destroys the file stream, so the file is opened again.
+   * If it cannot even be opened, the access log falls back to the standard output until 'reopen' is called.
+   * @protected
+   * @returns {RotatingFile} The access log file.
+   */
+  _openAccess() {
+    const { file, rotation, stdout } = this._options
+    const access = new RotatingFile(file, rotation)
+    let ready = false
+    access.once('ready', () => ready = true)
+    access.on('error', error => {
+      this.error('Cannot write the access log %s: %s', file, error.message)
+      if (this._access === access) {
+        this._access = ready ? this._openAccess() : stdout
+      }
+    })
+    return access
   }
 
   /**
@@ -144,4 +316,30 @@ export default class HttpLogger extends Console {
    * @type {Intl.DateTimeFormat}
    */
   _dateTimeFormat
+
+  /**
+   * Formatter of the access log entries.
+   * @property
+   * @protected
+   * @readonly
+   * @type {(entry: AccessEntry, dateTimeFormat: Intl.DateTimeFormat) => string}
+   */
+  _format
+
+  /**
+   * Stream of the access log: the standard output or a rotating file.
+   * @property
+   * @protected
+   * @type {import('stream').Writable}
+   */
+  _access
+
+  /**
+   * Logger options.
+   * @property
+   * @protected
+   * @readonly
+   * @type {LoggerOptions}
+   */
+  _options
 }
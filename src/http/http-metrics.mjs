@@ -0,0 +1,324 @@
+import * as http from 'http'
+import { performance } from 'perf_hooks'
+import { byteLength, defaultValues } from '../util.mjs'
+
+/**
+ * Content type of the Prometheus text exposition format.
+ */
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+/**
+ * Symbol to store the start time and the received and sent bytes into the HTTP request.
+ */
+const MEASURE = Symbol('MEASURE')
+
+/**
+ * Metrics options.
+ * @typedef HttpMetricsOptions
+ * @property {string} path URL path of the metrics.
+ * @property {number[]} buckets Upper bounds in seconds of the buckets of the latency histogram.
+ * @property {Pick<Console, 'error'>} logger Logger of the errors of the separate server, like a HttpLogger.
+ */
+
+/**
+ * Gauge whose value is read when the metrics are collected.
+ * @typedef Gauge
+ * @property {string} name Metric name.
+ * @property {string} help Metric description.
+ * @property {() => number|Promise<number>} supplier Supply the current value.
+ */
+
+/**
+ * Escape a label value of the Prometheus text format.
+ * @param {string} str Label value.
+ * @returns {string} Escaped value.
+ */
+function escapeLabel(str) {
+  return str.replace(/[\\"\n]/g, c => c === '\n' ? '\\n' : '\\' + c)
+}
+
+/**
+ * Lines of the description and of the type of a metric.
+ * @param {string} name Metric name.
+ * @param {string} help Metric description.
+ * @param {'counter'|'gauge'|'histogram'} type Metric type.
+ * @returns {string[]} The lines.
+ */
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`]
+}
+
+/**
+ * Server metrics in the Prometheus text format: requests by method and status, latency, transferred bytes,
+ * active connections and the gauges added by the application.
+ */
+export default class HttpMetrics {
+  /**
+   * Merge the given metrics options with the defaults.
+   * @param {Partial<HttpMetricsOptions>} [options] Metrics options.
+   * @returns {HttpMetricsOptions} The metrics options merged with the defaults.
+   */
+  static getOptions(options) {
+    return defaultValues([
+      { key: 'path', d: '/_metrics' },
+      { key: 'buckets', d: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10] },
+      { key: 'logger', d: console },
+    ], { ...options })
+  }
+
+  /**
+   * Metrics options.
+   * @property
+   * @public
+   * @readonly
+   * @type {HttpMetricsOptions}
+   */
+  options
+
+  /**
+   * Server which only serves the metrics, if they are on a separate port.
+   * @property
+   * @public
+   * @readonly
+   * @type {http.Server|null}
+   */
+  server = null
+
+  /**
+   * Construct a new instance.
+   * @param {Partial<HttpMetricsOptions>} [options] Metrics options.
+   */
+  constructor(options) {
+    this.options = HttpMetrics.getOptions(options)
+    this._histogram = new Array(this.options.buckets.length).fill(0)
+  }
+
+  /**
+   * Measure the requests and the connections of a server.
+   * The metrics themselves are served by 'handler', which must be added after the access control,
+   * or by a separate server started with 'listen'.
+   * @param {import('./http-server.mjs').default} server HTTP server.
+   * @returns {HttpMetrics} The current instance to chain the calls.
+   */
+  mount(server) {
+    server.server.on('connection', socket => {
+      this._connections++
+      socket.once('close', () => this._connections--)
+    })
+    server.on(this.start)
+    server.finally(this.record)
+    return this
+  }
+
+  /**
+   * Add a gauge whose value is read when the metrics are collected.
+   * @param {string} name Metric name.
+   * @param {string} help Metric description.
+   * @param {() => number|Promise<number>} supplier Supply the current value.
+   * @returns {HttpMetrics} The current instance to chain the calls.
+   */
+  gauge(name, help, supplier) {
+    this._gauges.push({ name, help, supplier })
+    return this
+  }
+
+  /**
+   * Record the start time of a request, then count its received and sent bytes.
+   * Must be the first handler, so the rejected requests are measured too.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @returns {void}
+   */
+  start = (req, res) => {
+    const measure = {
+      start: performance.now(),
+      received: 0,
+      sent: 0,
+    }
+    req[MEASURE] = measure
+    // The parser pushes the content into the request, whoever reads it
+    const { push } = req
+    req.push = function (chunk, encoding) {
+      measure.received += byteLength(chunk, encoding)
+      return push.apply(this, arguments)
+    }
+    const { write, end } = res
+    res.write = function (chunk, encoding) {
+      measure.sent += byteLength(chunk, encoding)
+      return write.apply(this, arguments)
+    }
+    res.end = function (chunk, encoding) {
+      measure.sent += byteLength(chunk, encoding)
+      return end.apply(this, arguments)
+    }
+  }
+
+  /**
+   * Count a handled request.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @returns {void}
+   */
+  record = (req, res) => {
+    const measure = req[MEASURE]
+    if (measure === undefined) {
+      return
+    }
+    const key = `${req.method} ${res.statusCode}`
+    this._requests.set(key, (this._requests.get(key) ?? 0) + 1)
+    const duration = (performance.now() - measure.start) / 1000
+    const index = this.options.buckets.findIndex(b => duration <= b)
+    if (index !== -1) {
+      this._histogram[index]++
+    }
+    this._count++
+    this._sum += duration
+    this._received += measure.received
+    this._sent += measure.sent
+  }
+
+  /**
+   * Serve the metrics to the GET and HEAD requests of the metrics path, leave the others to the next handlers.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @returns {Promise<void>}
+   */
+  handler = async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost')
+    if ((req.method !== 'GET' && req.method !== 'HEAD') || pathname !== this.options.path) {
+      return
+    }
+    const body = await this.collect()
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPE,
+      'Content-Length': Buffer.byteLength(body),
+      'Cache-Control': 'no-store',
+    })
+    res.end(req.method === 'HEAD' ? undefined : body)
+  }
+
+  /**
+   * Serve the metrics on a separate HTTP server, the other paths answer 404.
+   * @param {import('./http-server.mjs').HttpServerListenOptions} options Listening options.
+   * @returns {Promise<void>}
+   */
+  listen(options) {
+    this.server = http.createServer(async (req, res) => {
+      res.statusCode = 404
+      try {
+        await this.handler(req, res)
+      } catch (error) {
+        this.options.logger.error('%s %s: %s', req.method, req.url, error.stack)
+        res.statusCode = 500
+      }
+      res.end()
+    })
+    return new Promise((resolve, reject) => {
+      this.server.prependOnceListener('error', reject)
+      this.server.listen(options, () => {
+        this.server.removeListener('error', reject)
+        resolve()
+      })
+    })
+  }
+
+  /**
+   * Collect the metrics in the Prometheus text format.
+   * @returns {Promise<string>} The metrics.
+   */
+  async collect() {
+    const lines = header('http_requests_total', 'Number of handled HTTP requests.', 'counter')
+    for (const [key, count] of this._requests) {
+      const [method, status] = key.split(' ')
+      lines.push(`http_requests_total{method="${escapeLabel(method)}",status="${status}"} ${count}`)
+    }
+    lines.push(...header('http_request_duration_seconds', 'Duration of the HTTP requests.', 'histogram'))
+    let cumulative = 0
+    this.options.buckets.forEach((bucket, i) => {
+      cumulative += this._histogram[i]
+      lines.push(`http_request_duration_seconds_bucket{le="${bucket}"} ${cumulative}`)
+    })
+    lines.push(
+      `http_request_duration_seconds_bucket{le="+Inf"} ${this._count}`,
+      `http_request_duration_seconds_sum ${this._sum}`,
+      `http_request_duration_seconds_count ${this._count}`,
+      ...header('http_request_bytes_total', 'Number of bytes of the request contents.', 'counter'),
+      `http_request_bytes_total ${this._received}`,
+      ...header('http_response_bytes_total', 'Number of bytes of the response contents.', 'counter'),
+      `http_response_bytes_total ${this._sent}`,
+      ...header('http_connections_active', 'Number of open connections.', 'gauge'),
+      `http_connections_active ${this._connections}`,
+    )
+    for (const { name, help, supplier } of this._gauges) {
+      lines.push(...header(name, help, 'gauge'), `${name} ${await supplier()}`)
+    }
+    return lines.join('\n') + '\n'
+  }
+
+  /**
+   * Number of requests by method and status: 'GET 200'.
+   * @property
+   * @protected
+   * @readonly
+   * @type {Map<string, number>}
+   */
+  _requests = new Map()
+
+  /**
+   * Number of requests by latency bucket, not cumulative.
+   * @property
+   * @protected
+   * @readonly
+   * @type {number[]}
+   */
+  _histogram
+
+  /**
+   * Number of measured requests.
+   * @property
+   * @protected
+   * @type {number}
+   */
+  _count = 0
+
+  /**
+   * Total duration of the measured requests in seconds.
+   * @property
+   * @protected
+   * @type {number}
+   */
+  _sum = 0
+
+  /**
+   * Number of received bytes.
+   * @property
+   * @protected
+   * @type {number}
+   */
+  _received = 0
+
+  /**
+   * Number of sent bytes.
+   * @property
+   * @protected
+   * @type {number}
+   */
+  _sent = 0
+
+  /**
+   * Number of open connections.
+   * @property
+   * @protected
+   * @type {number}
+   */
+  _connections = 0
+
+  /**
+   * Gauges added by the application.
+   * @property
+   * @protected
+   * @readonly
+   * @type {Gauge[]}
+   */
+  _gauges = []
+}
@@ -1,48 +1,131 @@
+import { randomBytes } from 'crypto'
+import { createReadStream } from 'fs'
+import { Readable } from 'stream'
+import HttpCache from './http-cache.mjs'
+
+/**
+ * Regular expression of a byte range specifier: 'first-last', 'first-' or '-suffix'.
+ */
+const REG_EXP_RANGE_SPEC = /^\s*(?:(\d+)-(\d*)|-(\d+))\s*$/
+
+/**
+ * Byte range of a document, both positions are inclusives.
+ * @typedef ByteRange
+ * @property {number} start First byte position.
+ * @property {number} end Last byte position.
+ */
+
+/**
+ * Parse the byte ranges of a 'range' header (RFC 7233).
+ * The unsatisfiable ranges are removed, the others are sorted and the overlapping ones are coalesced.
+ * A header without any range specifier, like 'bytes=,', is invalid (RFC 9110 §14.2).
+ * @param {string} header HTTP 'range' header.
+ * @param {number} size Size of the document.
+ * @returns {ByteRange[]|null} The satisfiable ranges or null if the header is invalid.
+ */
+function parseRanges(header, size) {
+  const equal = header.indexOf('=')
+  if (equal === -1 || header.substring(0, equal).trim().toLowerCase() !== 'bytes') {
+    return null
+  }
+  const ranges = []
+  let specs = 0
+  for (const spec of header.substring(equal + 1).split(',')) {
+    if (spec.trim() === '') {
+      continue
+    }
+    const matchs = REG_EXP_RANGE_SPEC.exec(spec)
+    if (matchs === null) {
+      return null
+    }
+    specs++
+    if (matchs[3] !== undefined) {
+      const suffix = parseInt(matchs[3])
+      if (suffix > 0 && size > 0) {
+        ranges.push({ start: Math.max(size - suffix, 0), end: size - 1 })
+      }
+      continue
+    }
+    const start = parseInt(matchs[1])
+    const end = matchs[2] === '' ? Infinity : parseInt(matchs[2])
+    if (end < start) {
+      return null
+    }
+    if (start < size) {
+      ranges.push({ start, end: Math.min(end, size - 1) })
+    }
+  }
+  if (specs === 0) {
+    return null
+  }
+  ranges.sort((r1, r2) => r1.start - r2.start)
+  const coalesced = []
+  for (const range of ranges) {
+    const last = coalesced[coalesced.length - 1]
+    if (last !== undefined && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end)
+    } else {
+      coalesced.push(range)
+    }
+  }
+  return coalesced
+}
+
 /**
- * Class which represent the HTTP 'content-range' header.
+ * Class which represent the HTTP 'range' request header and its response.
  * Support only bytes as unit.
+ * A single range is sent as is, multiple ranges are sent as 'multipart/byteranges'.
  */
 export default class HttpRange {
+  /**
+   * Requested ranges.
+   * Contains the whole document if the request is not partial.
+   * @property
+   * @public
+   * @readonly
+   * @type {ByteRange[]}
+   */
+  ranges
 
   /**
-   * Range start.
-   * Integer indicating the beginning of the range.
+   * Size of the document.
    * @property
    * @public
    * @readonly
    * @type {number}
    */
-  start
+  size
 
   /**
-   * Range end.
-   * Integer indicating the end of the range.
+   * Indicate if only some parts of the document are requested.
    * @property
    * @public
    * @readonly
-   * @type {number}
+   * @type {boolean}
    */
-  end
+  partial
 
   /**
-   * Size of the document.
+   * Indicate if the requested ranges can be sent.
+   * A partial request without any satisfiable range cannot.
    * @property
    * @public
    * @readonly
-   * @type {number}
+   * @type {boolean}
    */
-  size
+  get satisfiable() {
+    return !this.partial || this.ranges.length > 0
+  }
 
   /**
-   * Content-Length
-   * Integer indicating the length of the range.
+   * Indicate if the response is a 'multipart/byteranges'.
    * @property
    * @public
    * @readonly
-   * @type {number}
+   * @type {boolean}
    */
-  get length() {
-    return this.end - this.start
+  get multipart() {
+    return this.ranges.length > 1
   }
 
   /**
@@ -59,47 +142,154 @@ export default class HttpRange {
 
   /**
    * Content-Range
-   * HTTP Header representation as a string.
+   * HTTP Header representation of the first range as a string.
    * @property
    * @public
    * @readonly
    * @type {string}
    */
   get contentRange() {
-    return `${this.unit} ${this.start}-${this.end}/${this.size}`
+    return this._contentRange(this.ranges[0])
   }
 
   /**
    * New instance from file stats and HTTP request.
+   * The requested ranges are ignored if the file has changed since the 'If-Range' header
+   * or if the 'range' header is invalid.
    * @param {import('fs').Stats} stats File stats.
    * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {HttpCache} [cache] Validators of the file.
    */
-  constructor(stats, req) {
-    const matchs = /^bytes=([0-9]+)\-([0-9]+)?$/
-      .exec(req.headers.range)
-    if (matchs === null) {
-      this.start = 0
-      this.end = stats.size
-    } else {
-      this.start = parseInt(matchs[1])
-      this.end = parseInt(matchs[2]) || stats.size
-    }
+  constructor(stats, req, cache = HttpCache.fromStats(stats)) {
+    const header = req.headers.range
+    const ranges = header === undefined || !cache.matchIfRange(req)
+      ? null
+      : parseRanges(header, stats.size)
     this.size = stats.size
+    this.partial = ranges !== null
+    this.ranges = this.partial ? ranges
+      : this.size > 0 ? [{ start: 0, end: this.size - 1 }]
+        : []
   }
 
   /**
    * Set HTTP response headers.
    * @param {import('http').ServerResponse} res HTTP response.
+   * @param {string} contentType Content type of the document.
    * @returns {void}
    */
-  setHeader(res) {
-    res.setHeader('Content-Length', this.length)
-    if (this.size !== this.length) {
-      res.setHeader('Content-Range', this.contentRange)
-      res.setHeader('Accept-Range', this.unit)
-      res.statusCode = 206
-    } else {
+  setHeader(res, contentType) {
+    res.setHeader('Accept-Ranges', this.unit)
+    if (!this.satisfiable) {
+      res.setHeader('Content-Range', `${this.unit} */${this.size}`)
+      res.statusCode = 416
+      return
+    }
+    if (!this.partial) {
+      res.setHeader('Content-Length', this.size)
+      res.setHeader('Content-Type', contentType)
       res.statusCode = 200
+      return
+    }
+    if (this.multipart) {
+      this._boundary = randomBytes(16).toString('hex')
+      this._contentType = contentType
+      res.setHeader('Content-Length', this._multipartLength())
+      res.setHeader('Content-Type', `multipart/byteranges; boundary=${this._boundary}`)
+    } else {
+      res.setHeader('Content-Length', this.ranges[0].end - this.ranges[0].start + 1)
+      res.setHeader('Content-Range', this.contentRange)
+      res.setHeader('Content-Type', contentType)
+    }
+    res.statusCode = 206
+  }
+
+  /**
+   * Create a readable stream of the response body.
+   * Must be called after 'setHeader'.
+   * @param {string} pathname Pathname of the document.
+   * @returns {Readable} Response body.
+   */
+  createReadStream(pathname) {
+    if (!this.multipart) {
+      const range = this.ranges[0]
+      return range === undefined ? Readable.from([]) : createReadStream(pathname, range)
+    }
+    return Readable.from(this._multipartBody(pathname))
+  }
+
+  /**
+   * Generate a multipart/byteranges body.
+   * @protected
+   * @param {string} pathname Pathname of the document.
+   * @returns {AsyncGenerator<Buffer, void, unknown>} Body chunks.
+   */
+  async *_multipartBody(pathname) {
+    for (const range of this.ranges) {
+      yield Buffer.from(this._partHeader(range))
+      yield* createReadStream(pathname, range)
+      yield Buffer.from('\r\n')
+    }
+    yield Buffer.from(this._closeDelimiter())
+  }
+
+  /**
+   * Compute the length of the multipart/byteranges body.
+   * @protected
+   * @returns {number} Body length.
+   */
+  _multipartLength() {
+    let length = Buffer.byteLength(this._closeDelimiter())
+    for (const range of this.ranges) {
+      length += Buffer.byteLength(this._partHeader(range)) + range.end - range.start + 1 + 2
     }
+    return length
   }
+
+  /**
+   * Header of a part of the multipart/byteranges body.
+   * @protected
+   * @param {ByteRange} range Range of the part.
+   * @returns {string} Header of the part.
+   */
+  _partHeader(range) {
+    return `--${this._boundary}\r\n`
+      + `Content-Type: ${this._contentType}\r\n`
+      + `Content-Range: ${this._contentRange(range)}\r\n\r\n`
+  }
+
+  /**
+   * End of the multipart/byteranges body.
+   * @protected
+   * @returns {string} Close delimiter.
+   */
+  _closeDelimiter() {
+    return `--${this._boundary}--\r\n`
+  }
+
+  /**
+   * Content-Range header of a range.
+   * @protected
+   * @param {ByteRange} range Byte range.
+   * @returns {string} Content-Range header.
+   */
+  _contentRange(range) {
+    return `${this.unit} ${range.start}-${range.end}/${this.size}`
+  }
+
+  /**
+   * Multipart boundary.
+   * @property
+   * @protected
+   * @type {string|undefined}
+   */
+  _boundary
+
+  /**
+   * Content type of the document.
+   * @property
+   * @protected
+   * @type {string|undefined}
+   */
+  _contentType
 }
@@ -0,0 +1,210 @@
+import * as http from 'http'
+import { toCamelCase, tryDecodeURIComponent } from '../util.mjs'
+
+/**
+ * Middleware: call 'next' to run the next matching layers, or answer the request and stop the chain.
+ * The promise of 'next' resolves once the next layers have run.
+ * @callback HttpMiddleware
+ * @param {http.IncomingMessage} req HTTP request, with the 'params' of the matched pattern.
+ * @param {http.ServerResponse} res HTTP response.
+ * @param {(error?: unknown) => Promise<void>} next Run the next layers, or the error middlewares if an error is given.
+ * @returns {void|Promise<void>}
+ */
+
+/**
+ * Error middleware: answer the request or call 'next' with an error to run the next error middlewares.
+ * Calling 'next' without error runs the next regular layers.
+ * @callback HttpErrorMiddleware
+ * @param {unknown} error Thrown or given error.
+ * @param {http.IncomingMessage} req HTTP request.
+ * @param {http.ServerResponse} res HTTP response.
+ * @param {(error?: unknown) => Promise<void>} next Run the next layers.
+ * @returns {void|Promise<void>}
+ */
+
+/**
+ * Layer of a router.
+ * @typedef Layer
+ * @property {string|null} method HTTP method or null for all the methods.
+ * @property {RegExp} regExp Regular expression of the path pattern.
+ * @property {string[]} keys Names of the parameters of the pattern.
+ * @property {boolean} error true for an error middleware.
+ * @property {HttpMiddleware|HttpErrorMiddleware|HttpRouter} handler Middleware or mounted router.
+ */
+
+/**
+ * Regular expression of the special characters of a regular expression.
+ */
+const REG_EXP_SPECIAL_CHARS = /[.*+?^${}()|[\]\\]/g
+
+/**
+ * Compile a path pattern: '/api/:name' captures a segment into the 'name' parameter
+ * and a final '*' captures the rest of the path.
+ * @param {string|null} pattern Path pattern or null to match all the paths.
+ * @param {boolean} end Match the whole path, otherwise a prefix of complete segments.
+ * @returns {{ regExp: RegExp, keys: string[] }} Regular expression and parameter names.
+ */
+function compile(pattern, end) {
+  const keys = []
+  const source = (pattern ?? '').replace(/\/+$/, '').split('/').map(segment => {
+    if (segment.startsWith(':')) {
+      keys.push(segment.substring(1))
+      return '([^/]+)'
+    }
+    if (segment === '*') {
+      keys.push('*')
+      return '(.*)'
+    }
+    return segment.replace(REG_EXP_SPECIAL_CHARS, '\\$&')
+  }).join('/')
+  return { regExp: new RegExp(`^${source}${end ? '/?$' : '(?=/|$)'}`), keys }
+}
+
+/**
+ * Split the optional path prefix from the handlers.
+ * @param {unknown[]} args Path prefix then handlers, or only handlers.
+ * @returns {[string|null, Function[]]} The prefix or null, and the handlers.
+ */
+function splitPrefix(args) {
+  return typeof args[0] === 'string' ? [args[0], args.slice(1)] : [null, args]
+}
+
+/**
+ * Path router: middlewares mounted on path prefixes, routes with parameters like '/api/:name'
+ * and error middlewares, run in the order they were added.
+ * A router can be mounted into another one, the paths of its layers are then relative to the prefix.
+ */
+export default class HttpRouter {
+  /**
+   * Construct a new router.
+   * Each HTTP method has a method to add a route, like 'get(pattern, ...middlewares)'.
+   */
+  constructor() {
+    for (const method of http.METHODS) {
+      this[toCamelCase(method)] = this.route.bind(this, method)
+    }
+  }
+
+  /**
+   * Add middlewares or routers for all the paths starting with a prefix.
+   * @param {...(string|HttpMiddleware|HttpRouter)} args Optional path prefix, then middlewares or routers.
+   * @returns {HttpRouter} The current instance to chain the calls.
+   */
+  use(...args) {
+    const [prefix, handlers] = splitPrefix(args)
+    for (const handler of handlers) {
+      this._layers.push({ method: null, ...compile(prefix, false), error: false, handler })
+    }
+    return this
+  }
+
+  /**
+   * Add middlewares for a method and a path pattern. A GET route also handles the HEAD requests.
+   * @param {string|null} method HTTP method or null for all the methods.
+   * @param {string|null} pattern Path pattern or null for all the paths.
+   * @param {...HttpMiddleware} handlers Middlewares.
+   * @returns {HttpRouter} The current instance to chain the calls.
+   */
+  route(method, pattern, ...handlers) {
+    for (const handler of handlers) {
+      this._layers.push({ method, ...compile(pattern, pattern !== null), error: false, handler })
+    }
+    return this
+  }
+
+  /**
+   * Add middlewares for all the methods and a path pattern.
+   * @param {string} pattern Path pattern.
+   * @param {...HttpMiddleware} handlers Middlewares.
+   * @returns {HttpRouter} The current instance to chain the calls.
+   */
+  all(pattern, ...handlers) {
+    return this.route(null, pattern, ...handlers)
+  }
+
+  /**
+   * Add error middlewares, for the errors of the layers added before them.
+   * @param {...(string|HttpErrorMiddleware)} args Optional path prefix, then error middlewares.
+   * @returns {HttpRouter} The current instance to chain the calls.
+   */
+  catch(...args) {
+    const [prefix, handlers] = splitPrefix(args)
+    for (const handler of handlers) {
+      this._layers.push({ method: null, ...compile(prefix, false), error: true, handler })
+    }
+    return this
+  }
+
+  /**
+   * Run the matching layers of a request.
+   * An error thrown by a middleware, or given to 'next', skips to the next error middlewares.
+   * @param {http.IncomingMessage} req HTTP request.
+   * @param {http.ServerResponse} res HTTP response.
+   * @param {string} pathname URL pathname, relative to the prefix of the router.
+   * @param {(error: unknown|null) => Promise<void>} out Called after the last layer, with the unhandled error or null.
+   * @param {Object<string, string>} [params] Parameters of the prefix of the router.
+   * @returns {Promise<void>}
+   */
+  handle(req, res, pathname, out, params = {}) {
+    const run = async (index, error) => {
+      for (let i = index; i < this._layers.length; i++) {
+        const layer = this._layers[i]
+        const matchs = layer.error === (error !== null) && this._matchMethod(layer, req.method)
+          ? layer.regExp.exec(pathname)
+          : null
+        if (matchs === null) {
+          continue
+        }
+        const current = { ...params }
+        layer.keys.forEach((key, k) => current[key] = tryDecodeURIComponent(matchs[k + 1]))
+        req.params = current
+        let called = false
+        const next = err => {
+          if (called) {
+            return Promise.resolve()
+          }
+          called = true
+          return run(i + 1, err ?? null)
+        }
+        try {
+          if (layer.handler instanceof HttpRouter) {
+            await layer.handler.handle(req, res, pathname.substring(matchs[0].length) || '/', next, current)
+          } else if (layer.error) {
+            await layer.handler(error, req, res, next)
+          } else {
+            await layer.handler(req, res, next)
+          }
+        } catch (err) {
+          if (called) {
+            // The next layers have run, the error goes back to the previous ones
+            throw err
+          }
+          await next(err)
+        }
+        return
+      }
+      await out(error)
+    }
+    return run(0, null)
+  }
+
+  /**
+   * Test if a layer handles a HTTP method.
+   * @protected
+   * @param {Layer} layer Router layer.
+   * @param {string} method HTTP method.
+   * @returns {boolean} true if the layer handles the method, otherwise false.
+   */
+  _matchMethod(layer, method) {
+    return layer.method === null || layer.method === method || (layer.method === 'GET' && method === 'HEAD')
+  }
+
+  /**
+   * Layers in the order they were added.
+   * @property
+   * @protected
+   * @readonly
+   * @type {Layer[]}
+   */
+  _layers = []
+}
@@ -1,5 +1,10 @@
+import { X509Certificate } from 'crypto'
 import * as http from 'http'
+import * as https from 'https'
+import * as http2 from 'http2'
+import * as os from 'os'
 import { defaultValues, toCamelCase } from '../util.mjs'
+import HttpRouter from './http-router.mjs'
 
 /**
  * @typedef HttpServerListenOptions
@@ -10,6 +15,9 @@ import { defaultValues, toCamelCase } from '../util.mjs'
 /**
  * @typedef HttpServerOptions
  * @property {string[]} methods HTTP allowed methods.
+ * @property {https.ServerOptions|null} [tls] TLS options (cert, key, ca, passphrase...), use HTTPS if given.
+ * @property {boolean} [http2] Use HTTP/2 with HTTP/1.1 fallback negotiated by ALPN, requires TLS options.
+ * @property {http.ServerOptions} [server] Options of the underlying server.
  */
 
 /**
@@ -28,6 +36,47 @@ const NOT_ALLOWED_METHOD = async (req, res) => {
   res.writeHead(501)
 }
 
+/**
+ * Read the certificate of the TLS options.
+ * @param {https.ServerOptions} tls TLS options.
+ * @returns {X509Certificate|null} The certificate, the first one of a chain, or null if it cannot be read.
+ */
+function readCertificate(tls) {
+  try {
+    return new X509Certificate(Array.isArray(tls.cert) ? tls.cert[0] : tls.cert)
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Test if a host name designates this machine: 'localhost' or the address of a network interface.
+ * @param {string} hostname Host name, without port nor brackets.
+ * @returns {boolean} true if the host is local, otherwise false.
+ */
+function isLocalHost(hostname) {
+  return hostname === 'localhost' || Object.values(os.networkInterfaces())
+    .some(addresses => addresses.some(a => a.address === hostname))
+}
+
+/**
+ * Wrap a method handler into a catch-all middleware of the router.
+ * The handler is skipped once the response headers are sent, and so are the next layers.
+ * @param {HttpMethodHandler} handler Method handler.
+ * @param {string|null} method HTTP method of the handler or null for all the methods.
+ * @returns {import('./http-router.mjs').HttpMiddleware} The middleware.
+ */
+function toMiddleware(handler, method) {
+  return async (req, res, next) => {
+    if (!res.headersSent && (method === null || req.method === method)) {
+      await handler(req, res)
+    }
+    if (!res.headersSent) {
+      await next()
+    }
+  }
+}
+
 export default class HttpServer {
   /**
    * Merge the given options with the defaults.
@@ -48,7 +97,9 @@ export default class HttpServer {
    */
   static serverOptions(options) {
     return defaultValues([
-      { key: 'method', d: [] },
+      { key: 'methods', d: [] },
+      { key: 'tls', d: null },
+      { key: 'http2', d: false },
     ], options)
   }
 
@@ -57,10 +108,28 @@ export default class HttpServer {
    * @property
    * @public
    * @readonly
-   * @type {http.Server}
+   * @type {http.Server|https.Server|http2.Http2SecureServer}
    */
   server
 
+  /**
+   * HTTP Server which redirects to the HTTPS server.
+   * @property
+   * @public
+   * @readonly
+   * @type {http.Server|null}
+   */
+  redirectServer = null
+
+  /**
+   * Protocol of the server.
+   * @property
+   * @public
+   * @readonly
+   * @type {'http'|'https'}
+   */
+  protocol
+
   /**
    * Allowed HTTP methods.
    * @property
@@ -70,6 +139,15 @@ export default class HttpServer {
    */
   methods
 
+  /**
+   * Router of the requests, the handlers of the methods are its catch-all layers.
+   * @property
+   * @public
+   * @readonly
+   * @type {HttpRouter}
+   */
+  router = new HttpRouter()
+
   /**
    * Create a new HTTP server.
    * @param {HttpServerListenOptions} [options] HTTP Server options.
@@ -78,19 +156,28 @@ export default class HttpServer {
     options = HttpServer.serverOptions(options)
     const methods = new Set(options.methods)
       .add('GET').add('HEAD')
-    this._handlers = {}
     this.methods = []
     for (const method of http.METHODS) {
       if (methods.delete(method)) {
         this[toCamelCase(method)] = this.addHandler.bind(this, method)
-        this._handlers[method] = []
         this.methods.push(method)
-      } else {
-        this._handlers[method] = [NOT_ALLOWED_METHOD]
       }
     }
     Object.freeze(this.methods)
-    this.server = http.createServer(options.server, this._requestHandler.bind(this))
+    if (options.tls === null) {
+      if (options.http2) {
+        throw new Error('HTTP/2 requires TLS options')
+      }
+      this.protocol = 'http'
+      this.server = http.createServer(options.server, this._requestHandler.bind(this))
+    } else {
+      this.protocol = 'https'
+      this._certificate = readCertificate(options.tls)
+      this.server = options.http2
+        // The compatibility API gives the same request and response interfaces as the http module
+        ? http2.createSecureServer({ ...options.server, ...options.tls, allowHTTP1: true }, this._requestHandler.bind(this))
+        : https.createServer({ ...options.server, ...options.tls }, this._requestHandler.bind(this))
+    }
   }
 
   /**
@@ -108,33 +195,114 @@ export default class HttpServer {
     })
   }
 
+  /**
+   * Starts a HTTP server which redirects all the requests to this HTTPS server.
+   * The host of the redirection comes from the 'Host' header, which must be a name of the certificate
+   * or a local name or address, otherwise the request answers 400: the server is not an open redirect.
+   * Must be called after 'listen'.
+   * @param {HttpServerListenOptions} options Redirect server listening options.
+   * @returns {Promise<void>}
+   */
+  listenRedirect(options) {
+    const port = this.server.address().port
+    this.redirectServer = http.createServer((req, res) => {
+      const host = (req.headers.host ?? 'localhost').replace(/:\d+$/, '')
+      const hostname = host.replace(/^\[(.*)\]$/, '$1').toLowerCase()
+      if (this._certificate?.checkHost(hostname) === undefined && !isLocalHost(hostname)) {
+        res.writeHead(400)
+        res.end()
+        return
+      }
+      res.writeHead(308, {
+        'location': `https://${host}${port === 443 ? '' : ':' + port}${req.url}`,
+      })
+      res.end()
+    })
+    return new Promise((resolve, reject) => {
+      this.redirectServer.prependOnceListener('error', reject)
+      this.redirectServer.listen(HttpServer.listenOptions(options), () => {
+        this.redirectServer.removeListener('error', reject)
+        resolve()
+      })
+    })
+  }
+
   /**
    * Add a handler to all allowed HTTP methods.
-   * @param {HttpMethodHandler} handler The handler to add to all allowed HTTP methods.
+   * With a path pattern, add middlewares for all the methods, see {@link HttpRouter#all}.
+   * @param {HttpMethodHandler|string} handler The handler to add to all allowed HTTP methods, or a path pattern.
+   * @param {...import('./http-router.mjs').HttpMiddleware} middlewares Middlewares of the path pattern.
    * @return {HttpServer} The current instance to chain the calls.
    */
-  on(handler) {
-    for (const method of this.methods) {
-      this._handlers[method].push(handler)
+  on(handler, ...middlewares) {
+    if (typeof handler === 'string') {
+      this.router.all(handler, ...middlewares)
+      return this
     }
+    this.router.use(toMiddleware(handler, null))
+    return this
+  }
+
+  /**
+   * Add middlewares or routers for all the paths starting with a prefix, see {@link HttpRouter#use}.
+   * @param {...(string|import('./http-router.mjs').HttpMiddleware|HttpRouter)} args Optional path prefix,
+   * then middlewares or routers.
+   * @return {HttpServer} The current instance to chain the calls.
+   */
+  use(...args) {
+    this.router.use(...args)
+    return this
+  }
+
+  /**
+   * Add error middlewares, for the errors of the handlers added before them, see {@link HttpRouter#catch}.
+   * The errors which are not handled are logged with the 'error' method of the global console
+   * and answered with the status 500.
+   * @param {...(string|import('./http-router.mjs').HttpErrorMiddleware)} args Optional path prefix,
+   * then error middlewares.
+   * @return {HttpServer} The current instance to chain the calls.
+   */
+  catch(...args) {
+    this.router.catch(...args)
+    return this
+  }
+
+  /**
+   * Add a handler which runs after all the others, even if the response has been sent early.
+   * @param {HttpMethodHandler} handler The handler to add to all the HTTP methods.
+   * @return {HttpServer} The current instance to chain the calls.
+   */
+  finally(handler) {
+    this._finalHandlers.push(handler)
     return this
   }
 
   /**
    * Add handler to a HTTP method.
+   * The handler runs for all the paths, then the next ones run until the response headers are sent.
+   * With a path pattern, add middlewares of a route instead, see {@link HttpRouter#route}.
    * @param {string} method HTTP method.
-   * @param {HttpMethodHandler} handler The handler to add to the HTTP method.
+   * @param {HttpMethodHandler|string} handler The handler to add to the HTTP method, or a path pattern.
+   * @param {...import('./http-router.mjs').HttpMiddleware} middlewares Middlewares of the path pattern.
    * @returns {HttpServer} The current instance to chain the calls.
    */
-  addHandler(method, handler) {
-    this._handlers[method].push(handler)
+  addHandler(method, handler, ...middlewares) {
+    if (typeof handler === 'string') {
+      this.router.route(method, handler, ...middlewares)
+      return this
+    }
+    this.router.use(toMiddleware(handler, method))
     return this
   }
 
   /**
    * HTTP request handler.
-   * Run one by one the asynchronous method handler.
-   * Catch all errors and log them with the 'error' method of the global console.
+   * Run the router, which runs one by one the middlewares and the asynchronous method handlers.
+   * Once a handler has sent the response headers, the next method handlers are skipped.
+   * Then run the final handlers.
+   * Catch the errors which are not handled by the error middlewares and log them
+   * with the 'error' method of the global console: the response gets the status 500,
+   * or is destroyed if its headers are already sent, so the failure never looks like a success.
    * End all responses by calling 'end' method.
    * @param {http.IncomingMessage} req The HTTP request.
    * @param {http.ServerResponse} res The HTTP response.
@@ -142,7 +310,25 @@ export default class HttpServer {
    */
   async _requestHandler(req, res) {
     try {
-      for (const handler of this._handlers[req.method]) {
+      if (this.methods.includes(req.method)) {
+        await this.router.handle(req, res, new URL(req.url, 'http://localhost').pathname, async error => {
+          if (error !== null) {
+            throw error
+          }
+        })
+      } else {
+        await NOT_ALLOWED_METHOD(req, res)
+      }
+    } catch (error) {
+      console.error(error)
+      if (res.headersSent) {
+        res.destroy()
+      } else {
+        res.statusCode = 500
+      }
+    }
+    try {
+      for (const handler of this._finalHandlers) {
         await handler(req, res)
       }
     } catch (error) {
@@ -153,11 +339,20 @@ export default class HttpServer {
   }
 
   /**
-   * HTTP methods handlers.
+   * Handlers which run after the methods handlers.
    * @property
    * @protected
    * @readonly
    * @type {HttpMethodHandler[]}
    */
-  _handlers
+  _finalHandlers = []
+
+  /**
+   * Certificate of the HTTPS server, whose names are allowed in the redirections.
+   * @property
+   * @protected
+   * @readonly
+   * @type {X509Certificate|null}
+   */
+  _certificate = null
 }
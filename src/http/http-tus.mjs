@@ -0,0 +1,459 @@
+import { randomBytes } from 'crypto'
+import { createWriteStream } from 'fs'
+import * as fs from 'fs/promises'
+import * as os from 'os'
+import * as path from 'path'
+import { pipeline } from 'stream/promises'
+import { defaultValues } from '../util.mjs'
+
+/**
+ * Version of the tus protocol.
+ */
+const TUS_VERSION = '1.0.0'
+
+/**
+ * Supported extensions of the tus protocol.
+ */
+const TUS_EXTENSIONS = 'creation,expiration,termination'
+
+/**
+ * Content type of the PATCH requests.
+ */
+const PATCH_CONTENT_TYPE = 'application/offset+octet-stream'
+
+/**
+ * Regular expression of an upload identifier.
+ */
+const REG_EXP_ID = /^[0-9a-f]{32}$/
+
+/**
+ * Upload options.
+ * @typedef HttpTusOptions
+ * @property {string} dir Staging directory of the partial uploads.
+ * @property {number} expiration Time in milliseconds after which an abandoned upload is removed.
+ * @property {number} maxSize Maximum size of an upload in bytes.
+ * @property {(upload: Upload) => Promise<void>} onComplete Move a complete upload to its directory,
+ * an error with a 'status' property is answered to the client.
+ * @property {Pick<Console, 'error'>} logger Logger of the errors of the periodic expiration, like a HttpLogger.
+ */
+
+/**
+ * Partial upload, stored as JSON next to its data file.
+ * @typedef Upload
+ * @property {string} id Upload identifier.
+ * @property {string} directory Absolute path of the target directory.
+ * @property {string} filename Target filename.
+ * @property {string} [contentType] Content type given by the client.
+ * @property {number} length Total size in bytes.
+ * @property {number} offset Number of received bytes.
+ * @property {string} metadata 'Upload-Metadata' header given at the creation.
+ * @property {number} expires Expiration time in milliseconds.
+ * @property {string} path Pathname of the data file.
+ */
+
+/**
+ * Parse the 'Upload-Metadata' header: 'key base64Value,key2 base64Value'.
+ * @param {string} header HTTP header value.
+ * @returns {Object<string, string>} Decoded values by key.
+ */
+function parseMetadata(header) {
+  const metadata = {}
+  for (const pair of header.split(',')) {
+    const [key, value = ''] = pair.trim().split(/\s+/)
+    if (key !== '') {
+      metadata[key] = Buffer.from(value, 'base64').toString('utf-8')
+    }
+  }
+  return metadata
+}
+
+/**
+ * Resumable uploads with the tus protocol (https://tus.io), core protocol with the creation,
+ * expiration and termination extensions.
+ * A client creates an upload with a POST request to a directory, then sends the content with PATCH requests
+ * to the returned URL. A HEAD request gives the number of received bytes to resume an interrupted upload.
+ * Once complete, the upload is moved into the directory.
+ */
+export default class HttpTus {
+  /**
+   * Merge the given upload options with the defaults.
+   * @param {Partial<HttpTusOptions>} [options] Upload options.
+   * @returns {HttpTusOptions} The upload options merged with the defaults.
+   */
+  static getOptions(options) {
+    return defaultValues([
+      { key: 'dir', d: path.join(os.tmpdir(), 'node-simple-http-server-uploads') },
+      { key: 'expiration', d: 24 * 60 * 60 * 1000 },
+      { key: 'maxSize', d: Infinity },
+      { key: 'onComplete', d: async () => undefined },
+      { key: 'logger', d: console },
+    ], { ...options })
+  }
+
+  /**
+   * Upload options.
+   * @property
+   * @public
+   * @readonly
+   * @type {HttpTusOptions}
+   */
+  options
+
+  /**
+   * Construct a new instance.
+   * The staging directory must be created with 'init'.
+   * @param {Partial<HttpTusOptions>} [options] Upload options.
+   */
+  constructor(options) {
+    this.options = HttpTus.getOptions(options)
+    this._active = new Set()
+  }
+
+  /**
+   * Create the staging directory, remove the expired uploads and check them periodically.
+   * @returns {Promise<void>}
+   */
+  async init() {
+    await fs.mkdir(this.options.dir, { recursive: true })
+    await this.expire()
+    for (const name of await fs.readdir(this.options.dir)) {
+      if (REG_EXP_ID.test(name)) {
+        this._staged.set(name, (await fs.stat(path.join(this.options.dir, name))).size)
+      }
+    }
+    const expire = () => this.expire()
+      .catch(error => this.options.logger.error('Cannot remove the expired uploads: %s', error.message))
+    this._timer = setInterval(expire, Math.min(this.options.expiration, 60 * 60 * 1000))
+    this._timer.unref()
+  }
+
+  /**
+   * Stop checking the expired uploads.
+   * @returns {void}
+   */
+  close() {
+    clearInterval(this._timer)
+  }
+
+  /**
+   * Remove the expired uploads.
+   * @returns {Promise<void>}
+   */
+  async expire() {
+    const now = Date.now()
+    for (const name of await fs.readdir(this.options.dir)) {
+      const id = path.basename(name, '.json')
+      if (REG_EXP_ID.test(id) && name.endsWith('.json') && !this._active.has(id)) {
+        const upload = await this.get(id)
+        if (upload === null || upload.expires <= now) {
+          await this.remove(id)
+        }
+      }
+    }
+  }
+
+  /**
+   * Size in bytes of the partial uploads, for the monitoring.
+   * @returns {number} Size of the staged data files.
+   */
+  usage() {
+    let size = 0
+    for (const staged of this._staged.values()) {
+      size += staged
+    }
+    return size
+  }
+
+  /**
+   * Get a partial upload.
+   * @param {string} id Upload identifier.
+   * @returns {Promise<Upload|null>} The upload or null if it does not exist.
+   */
+  async get(id) {
+    if (!REG_EXP_ID.test(id ?? '')) {
+      return null
+    }
+    const pathname = path.join(this.options.dir, id)
+    try {
+      const upload = JSON.parse(await fs.readFile(pathname + '.json', 'utf-8'))
+      const stats = await fs.stat(pathname)
+      return { ...upload, id, offset: stats.size, path: pathname }
+    } catch (error) {
+      return null
+    }
+  }
+
+  /**
+   * Remove a partial upload.
+   * @param {string} id Upload identifier.
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    const pathname = path.join(this.options.dir, id)
+    await fs.rm(pathname, { force: true })
+    this._staged.delete(id)
+    await fs.rm(pathname + '.json', { force: true })
+  }
+
+  /**
+   * Handle the tus requests: POST to a directory with a 'Tus-Resumable' header, and HEAD, PATCH or DELETE
+   * of an upload URL ('?upload=<id>'), which require the header too except PATCH.
+   * The other requests, like a GET of a file, are left to the next handlers, the OPTIONS requests
+   * only get the tus headers.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @param {{ url: URL, pathname: string|null, stats: import('fs').Stats|null }} info Requested file information.
+   * @returns {Promise<void>}
+   */
+  async handle(req, res, { url, pathname, stats }) {
+    const version = req.headers['tus-resumable']
+    if (req.method === 'OPTIONS') {
+      // The next handlers answer the other capabilities of the server
+      res.setHeader('Tus-Resumable', TUS_VERSION)
+      res.setHeader('Tus-Version', TUS_VERSION)
+      res.setHeader('Tus-Extension', TUS_EXTENSIONS)
+      if (Number.isFinite(this.options.maxSize)) {
+        res.setHeader('Tus-Max-Size', this.options.maxSize)
+      }
+      return
+    }
+    const id = url.searchParams.get('upload')
+    const intercepted = id === null
+      ? req.method === 'POST' && version !== undefined && stats?.isDirectory() === true
+      : req.method === 'PATCH' || (version !== undefined && (req.method === 'HEAD' || req.method === 'DELETE'))
+    if (!intercepted) {
+      return
+    }
+    res.setHeader('Tus-Resumable', TUS_VERSION)
+    if (version !== TUS_VERSION) {
+      res.writeHead(412, { 'Tus-Version': TUS_VERSION })
+      return
+    }
+    if (pathname === null) {
+      res.writeHead(403)
+      return
+    }
+    if (stats === null || !stats.isDirectory()) {
+      res.writeHead(404)
+      return
+    }
+    if (req.method === 'POST') {
+      await this._create(req, res, url, pathname)
+      return
+    }
+    const upload = await this.get(id)
+    if (upload === null || upload.directory !== path.resolve(pathname)) {
+      res.writeHead(404)
+      return
+    }
+    if (upload.expires <= Date.now() && !this._active.has(id)) {
+      await this.remove(id)
+      res.writeHead(404)
+      return
+    }
+    switch (req.method) {
+      case 'HEAD':
+        res.writeHead(200, {
+          'Upload-Offset': upload.offset,
+          'Upload-Length': upload.length,
+          'Upload-Expires': new Date(upload.expires).toUTCString(),
+          'Cache-Control': 'no-store',
+          ...(upload.metadata === '' ? {} : { 'Upload-Metadata': upload.metadata }),
+        })
+        break
+      case 'PATCH':
+        await this._append(req, res, upload)
+        break
+      case 'DELETE':
+        if (this._active.has(id)) {
+          res.writeHead(409)
+          break
+        }
+        await this.remove(id)
+        res.writeHead(204)
+        break
+      default:
+        res.writeHead(405)
+        break
+    }
+  }
+
+  /**
+   * Create an upload into a directory.
+   * @protected
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @param {URL} url Request URL.
+   * @param {string} directory Absolute path of the target directory.
+   * @returns {Promise<void>}
+   */
+  async _create(req, res, url, directory) {
+    const length = Number(req.headers['upload-length'] ?? NaN)
+    if (!Number.isInteger(length) || length < 0) {
+      res.writeHead(400)
+      return
+    }
+    if (length > this.options.maxSize) {
+      res.writeHead(413)
+      return
+    }
+    const header = req.headers['upload-metadata'] ?? ''
+    const metadata = parseMetadata(header)
+    const filename = path.basename(metadata.filename ?? '')
+    if (filename === '' || filename === '.' || filename === '..') {
+      res.writeHead(400)
+      return
+    }
+    const id = randomBytes(16).toString('hex')
+    const upload = {
+      directory: path.resolve(directory),
+      filename,
+      contentType: metadata.filetype,
+      length,
+      metadata: header,
+      expires: Date.now() + this.options.expiration,
+    }
+    const pathname = path.join(this.options.dir, id)
+    await fs.writeFile(pathname, '')
+    this._staged.set(id, 0)
+    await fs.writeFile(pathname + '.json', JSON.stringify(upload))
+    // An empty upload is complete once created, it is only announced if it is stored
+    if (length === 0 && !await this._tryComplete(res, { ...upload, id, offset: 0, path: pathname })) {
+      return
+    }
+    const location = new URL(url)
+    location.search = ''
+    location.searchParams.set('upload', id)
+    res.writeHead(201, {
+      'Location': location.pathname + location.search,
+      'Upload-Expires': new Date(upload.expires).toUTCString(),
+    })
+  }
+
+  /**
+   * Append the content of a PATCH request to an upload.
+   * If the client disconnects, the received bytes are kept so the upload can be resumed.
+   * @protected
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @param {Upload} upload Partial upload.
+   * @returns {Promise<void>}
+   */
+  async _append(req, res, upload) {
+    if ((req.headers['content-type'] ?? '').split(';')[0].trim().toLowerCase() !== PATCH_CONTENT_TYPE) {
+      res.writeHead(415)
+      return
+    }
+    if (Number(req.headers['upload-offset'] ?? NaN) !== upload.offset || this._active.has(upload.id)) {
+      res.writeHead(409)
+      return
+    }
+    const contentLength = req.headers['content-length']
+    if (contentLength !== undefined && upload.offset + Number(contentLength) > upload.length) {
+      res.writeHead(413)
+      return
+    }
+    this._active.add(upload.id)
+    try {
+      let offset = upload.offset
+      const limit = async function* (source) {
+        for await (const chunk of source) {
+          offset += chunk.length
+          if (offset > upload.length) {
+            throw new Error('Upload content exceeds Upload-Length')
+          }
+          yield chunk
+        }
+      }
+      const output = createWriteStream(upload.path, { flags: 'a' })
+      try {
+        await pipeline(req, limit, output)
+      } catch (error) {
+        // Keep the received bytes, the client resumes from the offset given by a HEAD request
+        res.writeHead(offset > upload.length ? 413 : 400)
+        return
+      } finally {
+        this._staged.set(upload.id, upload.offset + output.bytesWritten)
+      }
+      upload.offset = offset
+      upload.expires = Date.now() + this.options.expiration
+      await fs.writeFile(upload.path + '.json', JSON.stringify({
+        directory: upload.directory,
+        filename: upload.filename,
+        contentType: upload.contentType,
+        length: upload.length,
+        metadata: upload.metadata,
+        expires: upload.expires,
+      }))
+      if (upload.offset === upload.length && !await this._tryComplete(res, upload)) {
+        return
+      }
+      res.writeHead(204, {
+        'Upload-Offset': upload.offset,
+        'Upload-Expires': new Date(upload.expires).toUTCString(),
+      })
+    } finally {
+      this._active.delete(upload.id)
+    }
+  }
+
+  /**
+   * Move a complete upload to its directory, then remove it from the staging directory.
+   * @protected
+   * @param {Upload} upload Complete upload.
+   * @returns {Promise<void>}
+   */
+  async _complete(upload) {
+    await this.options.onComplete(upload)
+    await this.remove(upload.id)
+  }
+
+  /**
+   * Complete an upload, or answer the status of the error if it cannot be stored.
+   * @protected
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @param {Upload} upload Complete upload.
+   * @returns {Promise<boolean>} true if the upload is stored, false if the error status is answered.
+   */
+  async _tryComplete(res, upload) {
+    try {
+      await this._complete(upload)
+      return true
+    } catch (error) {
+      if (error.status === undefined) {
+        throw error
+      }
+      // The complete upload cannot be stored, it cannot be resumed either
+      await this.remove(upload.id)
+      res.writeHead(error.status)
+      return false
+    }
+  }
+
+  /**
+   * Identifiers of the uploads receiving content.
+   * @property
+   * @protected
+   * @readonly
+   * @type {Set<string>}
+   */
+  _active
+
+  /**
+   * Size in bytes of the staged data files by upload identifier, updated as they are written and removed,
+   * so the monitoring does not read the staging directory.
+   * @property
+   * @protected
+   * @readonly
+   * @type {Map<string, number>}
+   */
+  _staged = new Map()
+
+  /**
+   * Timer which removes the expired uploads.
+   * @property
+   * @protected
+   * @type {NodeJS.Timeout|undefined}
+   */
+  _timer
+}
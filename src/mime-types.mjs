@@ -0,0 +1,333 @@
+import * as fs from 'fs/promises'
+import * as path from 'path'
+
+/**
+ * Built-in table of the file extensions and their MIME types.
+ */
+const DEFAULT_TYPES = [
+  ['txt', 'text/plain'],
+  ['log', 'text/plain'],
+  ['md', 'text/markdown'],
+  ['html', 'text/html'],
+  ['htm', 'text/html'],
+  ['css', 'text/css'],
+  ['csv', 'text/csv'],
+  ['js', 'text/javascript'],
+  ['mjs', 'text/javascript'],
+  ['cjs', 'text/javascript'],
+  ['json', 'application/json'],
+  ['map', 'application/json'],
+  ['webmanifest', 'application/manifest+json'],
+  ['xml', 'application/xml'],
+  ['xhtml', 'application/xhtml+xml'],
+  ['yaml', 'application/yaml'],
+  ['yml', 'application/yaml'],
+  ['wasm', 'application/wasm'],
+  ['pdf', 'application/pdf'],
+  ['zip', 'application/zip'],
+  ['gz', 'application/gzip'],
+  ['tgz', 'application/gzip'],
+  ['tar', 'application/x-tar'],
+  ['bz2', 'application/x-bzip2'],
+  ['xz', 'application/x-xz'],
+  ['7z', 'application/x-7z-compressed'],
+  ['rar', 'application/vnd.rar'],
+  ['doc', 'application/msword'],
+  ['docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  ['xls', 'application/vnd.ms-excel'],
+  ['xlsx', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  ['ppt', 'application/vnd.ms-powerpoint'],
+  ['pptx', 'application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  ['odt', 'application/vnd.oasis.opendocument.text'],
+  ['ods', 'application/vnd.oasis.opendocument.spreadsheet'],
+  ['epub', 'application/epub+zip'],
+  ['png', 'image/png'],
+  ['jpg', 'image/jpeg'],
+  ['jpeg', 'image/jpeg'],
+  ['gif', 'image/gif'],
+  ['webp', 'image/webp'],
+  ['avif', 'image/avif'],
+  ['bmp', 'image/bmp'],
+  ['ico', 'image/vnd.microsoft.icon'],
+  ['svg', 'image/svg+xml'],
+  ['tif', 'image/tiff'],
+  ['tiff', 'image/tiff'],
+  ['mp3', 'audio/mpeg'],
+  ['ogg', 'audio/ogg'],
+  ['oga', 'audio/ogg'],
+  ['opus', 'audio/opus'],
+  ['wav', 'audio/wav'],
+  ['flac', 'audio/flac'],
+  ['aac', 'audio/aac'],
+  ['m4a', 'audio/mp4'],
+  ['mp4', 'video/mp4'],
+  ['m4v', 'video/mp4'],
+  ['webm', 'video/webm'],
+  ['ogv', 'video/ogg'],
+  ['mkv', 'video/x-matroska'],
+  ['avi', 'video/x-msvideo'],
+  ['mov', 'video/quicktime'],
+  ['vtt', 'text/vtt'],
+  ['srt', 'application/x-subrip'],
+  ['woff', 'font/woff'],
+  ['woff2', 'font/woff2'],
+  ['ttf', 'font/ttf'],
+  ['otf', 'font/otf'],
+]
+
+/**
+ * Non text/* MIME types which are encoded as text.
+ */
+const TEXT_TYPES = new Set([
+  'application/json',
+  'application/manifest+json',
+  'application/xml',
+  'application/xhtml+xml',
+  'application/yaml',
+  'application/x-subrip',
+  'image/svg+xml',
+])
+
+/**
+ * Binary MIME types which are worth to be compressed.
+ */
+const COMPRESSIBLE_TYPES = new Set([
+  'application/wasm',
+  'application/x-tar',
+  'image/bmp',
+  'image/vnd.microsoft.icon',
+  'font/ttf',
+  'font/otf',
+])
+
+/**
+ * MIME types which a browser renders as a document able to run scripts, like the XML types ending with '+xml'.
+ * They are never remembered from a client, which could otherwise make the other users run its scripts.
+ */
+const ACTIVE_TYPES = new Set([
+  'text/html',
+  'text/xml',
+  'text/xsl',
+  'application/xml',
+  'application/xhtml+xml',
+  'image/svg+xml',
+])
+
+/**
+ * Signatures of the well-known binary formats.
+ * @type {{ offset: number, bytes: Buffer, type: string }[]}
+ */
+const MAGIC_NUMBERS = [
+  { offset: 0, bytes: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), type: 'image/png' },
+  { offset: 0, bytes: Buffer.from([0xff, 0xd8, 0xff]), type: 'image/jpeg' },
+  { offset: 0, bytes: Buffer.from('GIF87a'), type: 'image/gif' },
+  { offset: 0, bytes: Buffer.from('GIF89a'), type: 'image/gif' },
+  { offset: 8, bytes: Buffer.from('WEBP'), type: 'image/webp' },
+  { offset: 0, bytes: Buffer.from('BM'), type: 'image/bmp' },
+  { offset: 0, bytes: Buffer.from('%PDF-'), type: 'application/pdf' },
+  { offset: 0, bytes: Buffer.from([0x50, 0x4b, 0x03, 0x04]), type: 'application/zip' },
+  { offset: 0, bytes: Buffer.from([0x1f, 0x8b]), type: 'application/gzip' },
+  { offset: 0, bytes: Buffer.from('BZh'), type: 'application/x-bzip2' },
+  { offset: 0, bytes: Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]), type: 'application/x-xz' },
+  { offset: 0, bytes: Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]), type: 'application/x-7z-compressed' },
+  { offset: 257, bytes: Buffer.from('ustar'), type: 'application/x-tar' },
+  { offset: 0, bytes: Buffer.from('ID3'), type: 'audio/mpeg' },
+  { offset: 0, bytes: Buffer.from('OggS'), type: 'audio/ogg' },
+  { offset: 0, bytes: Buffer.from('fLaC'), type: 'audio/flac' },
+  { offset: 8, bytes: Buffer.from('WAVE'), type: 'audio/wav' },
+  { offset: 4, bytes: Buffer.from('ftyp'), type: 'video/mp4' },
+  { offset: 0, bytes: Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), type: 'video/webm' },
+  { offset: 0, bytes: Buffer.from([0x00, 0x61, 0x73, 0x6d]), type: 'application/wasm' },
+  { offset: 0, bytes: Buffer.from('wOFF'), type: 'font/woff' },
+  { offset: 0, bytes: Buffer.from('wOF2'), type: 'font/woff2' },
+]
+
+/**
+ * Number of bytes read to sniff the MIME type of a file.
+ */
+const SNIFF_LENGTH = 512
+
+/**
+ * Guess the MIME type of a content from its first bytes.
+ * @param {Buffer} buf First bytes of the content.
+ * @returns {string} Guessed MIME type.
+ */
+function sniff(buf) {
+  for (const { offset, bytes, type } of MAGIC_NUMBERS) {
+    if (buf.length >= offset + bytes.length && bytes.compare(buf, offset, offset + bytes.length) === 0) {
+      return type
+    }
+  }
+  if (buf.includes(0)) {
+    return MimeTypes.DEFAULT_TYPE
+  }
+  const start = buf.toString('latin1', 0, 64).trimStart().toLowerCase()
+  if (start.startsWith('<!doctype html') || start.startsWith('<html')) {
+    return 'text/html'
+  }
+  if (start.startsWith('<?xml')) {
+    return 'application/xml'
+  }
+  try {
+    // Stream mode because the last character may be cut by the read
+    new TextDecoder('utf-8', { fatal: true }).decode(buf, { stream: true })
+    return 'text/plain'
+  } catch (error) {
+    return MimeTypes.DEFAULT_TYPE
+  }
+}
+
+/**
+ * Read the first bytes of a file.
+ * @param {string} pathname File pathname.
+ * @returns {Promise<Buffer>} The first bytes of the file.
+ */
+async function readHead(pathname) {
+  const handle = await fs.open(pathname)
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_LENGTH), 0, SNIFF_LENGTH, 0)
+    return buffer.subarray(0, bytesRead)
+  } finally {
+    await handle.close()
+  }
+}
+
+/**
+ * Association of the file extensions and the MIME types.
+ */
+export default class MimeTypes {
+  /**
+   * MIME type of the unknown binary contents.
+   * @property
+   * @public
+   * @static
+   * @readonly
+   * @type {string}
+   */
+  static DEFAULT_TYPE = 'application/octet-stream'
+
+  /**
+   * Charset added to the text MIME types.
+   * @property
+   * @public
+   * @static
+   * @readonly
+   * @type {string}
+   */
+  static CHARSET = 'utf-8'
+
+  /**
+   * Build a new instance with the overrides of a JSON file.
+   * The file is an object whose keys are the extensions and the values the MIME types.
+   * @param {string} pathname JSON file pathname.
+   * @returns {Promise<MimeTypes>} New instance.
+   */
+  static async fromFile(pathname) {
+    return new MimeTypes(JSON.parse(await fs.readFile(pathname, 'utf-8')))
+  }
+
+  /**
+   * Add the charset parameter to a text MIME type.
+   * @param {string} type MIME type.
+   * @returns {string} The MIME type with its charset if needed.
+   */
+  static withCharset(type) {
+    if (!type.includes(';') && (type.startsWith('text/') || TEXT_TYPES.has(type))) {
+      return `${type}; charset=${MimeTypes.CHARSET}`
+    }
+    return type
+  }
+
+  /**
+   * Test if a content is worth to be compressed.
+   * @param {string} contentType Content type.
+   * @returns {boolean} true if the content is textual, otherwise false.
+   */
+  static isCompressible(contentType) {
+    const type = contentType.split(';')[0].trim()
+    return type.startsWith('text/') || TEXT_TYPES.has(type) || COMPRESSIBLE_TYPES.has(type)
+  }
+
+  /**
+   * Construct a new instance with the built-in table and the given overrides.
+   * @param {Object<string, string>} [overrides] MIME types by extension.
+   */
+  constructor(overrides = {}) {
+    this._types = new Map(DEFAULT_TYPES)
+    this._remembered = new Map()
+    for (const [ext, type] of Object.entries(overrides)) {
+      this._types.set(ext.replace(/^\./, '').toLowerCase(), type)
+    }
+  }
+
+  /**
+   * Find the MIME type of a file by its extension.
+   * @param {string} pathname File pathname.
+   * @returns {string|undefined} The MIME type or undefined if the extension is unknown.
+   */
+  lookup(pathname) {
+    return this._types.get(path.extname(pathname).substring(1).toLowerCase())
+  }
+
+  /**
+   * Remember the MIME type given by the client for an uploaded file.
+   * The remembered type is only used if the file extension is unknown.
+   * The active types, like 'text/html', are not remembered.
+   * @param {string} pathname File pathname.
+   * @param {string} type MIME type.
+   * @returns {void}
+   */
+  remember(pathname, type) {
+    const essence = type?.split(';')[0].trim().toLowerCase()
+    if (essence && essence !== MimeTypes.DEFAULT_TYPE && !ACTIVE_TYPES.has(essence) && !essence.endsWith('+xml')) {
+      this._remembered.set(pathname, type)
+    } else {
+      this._remembered.delete(pathname)
+    }
+  }
+
+  /**
+   * Forget the remembered MIME types of a file or of all the files of a directory.
+   * @param {string} pathname File or directory pathname.
+   * @returns {void}
+   */
+  forget(pathname) {
+    const dir = pathname + path.sep
+    for (const key of this._remembered.keys()) {
+      if (key === pathname || key.startsWith(dir)) {
+        this._remembered.delete(key)
+      }
+    }
+  }
+
+  /**
+   * Get the value of the Content-Type header for a file.
+   * Look for the extension, then the remembered type and finally sniff the first bytes of the file.
+   * @param {string} pathname File pathname.
+   * @returns {Promise<string>} The content type.
+   */
+  async contentType(pathname) {
+    const type = this.lookup(pathname)
+      ?? this._remembered.get(pathname)
+      ?? sniff(await readHead(pathname))
+    return MimeTypes.withCharset(type)
+  }
+
+  /**
+   * MIME types by extension.
+   * @property
+   * @protected
+   * @readonly
+   * @type {Map<string, string>}
+   */
+  _types
+
+  /**
+   * MIME types given by the clients by file pathname.
+   * @property
+   * @protected
+   * @readonly
+   * @type {Map<string, string>}
+   */
+  _remembered
+}
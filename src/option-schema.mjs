@@ -0,0 +1,327 @@
+import * as fs from 'fs/promises'
+import { parseSize, toCamelCase } from './util.mjs'
+
+/**
+ * Name of the option which gives the configuration file.
+ */
+const CONFIG_OPTION = 'config'
+
+/**
+ * Sources of the option values, from the lowest to the highest precedence.
+ * @enum {string}
+ */
+const Source = {
+  /** JSON configuration file. */
+  FILE: 'file',
+  /** Environment variables. */
+  ENV: 'env',
+  /** Command line arguments. */
+  ARGS: 'args',
+}
+
+/**
+ * Option declaration.
+ * @typedef OptionDefinition
+ * @property {string} name Long name, in kebab case: '--name' on the command line, 'PREFIX_NAME' in the environment
+ * and 'name' in camel case in the configuration file.
+ * @property {string} [alias] Short name on the command line: '-a'.
+ * @property {'string'|'boolean'|'integer'|'size'|'enum'} type Type of the value.
+ * A boolean option is a flag on the command line, a size is a number of bytes with an optional suffix like '10M'.
+ * @property {string} description Description in the help text.
+ * @property {string} [key] Dotted path of the value in the configuration, the name in camel case by default.
+ * @property {string} [arg] Name of the value in the help text.
+ * @property {number} [min] Minimum of an integer or a size.
+ * @property {number} [max] Maximum of an integer or a size.
+ * @property {string[]} [values] Allowed values of an enum.
+ * @property {unknown} [default] Default value shown in the help text.
+ * @property {(value: unknown) => unknown} [transform] Convert the validated value before it is stored.
+ * @property {string[]} [sources] Sources allowed to set the option, all by default.
+ */
+
+/**
+ * Parse and validate an option value.
+ * @param {OptionDefinition} option Option declaration.
+ * @param {unknown} value String of the command line or of the environment, or JSON value of the configuration file.
+ * @returns {unknown} The typed value or undefined if it is invalid.
+ */
+function parseValue(option, value) {
+  let parsed
+  switch (option.type) {
+    case 'boolean':
+      return value === true || value === 'true' || value === '1' ? true
+        : value === false || value === 'false' || value === '0' ? false
+        : undefined
+    case 'integer':
+      parsed = typeof value === 'number' ? value
+        : typeof value === 'string' && value.trim() !== '' ? Number(value)
+        : NaN
+      break
+    case 'size':
+      parsed = typeof value === 'number' ? value : typeof value === 'string' ? parseSize(value) : NaN
+      break
+    case 'enum':
+      return option.values.includes(value) ? value : undefined
+    default:
+      return typeof value === 'string' && value !== '' ? value : undefined
+  }
+  return Number.isSafeInteger(parsed) && parsed >= (option.min ?? 0) && !(parsed > option.max) ? parsed : undefined
+}
+
+/**
+ * Describe the expected value of an option for the error messages.
+ * @param {OptionDefinition} option Option declaration.
+ * @returns {string} Description of the expected value.
+ */
+function expected(option) {
+  const range = `>= ${option.min ?? 0}` + (option.max === undefined ? '' : ` and <= ${option.max}`)
+  switch (option.type) {
+    case 'boolean':
+      return 'true or false'
+    case 'integer':
+      return `an integer ${range}`
+    case 'size':
+      return `a size like 512, 10K, 100M or 2G ${range}`
+    case 'enum':
+      return `one of ${option.values.join(', ')}`
+    default:
+      return 'a non-empty string'
+  }
+}
+
+/**
+ * Result of the parsing of a source.
+ * @typedef ParsedValues
+ * @property {Map<OptionDefinition, unknown>} values Valid values by option.
+ * @property {string[]} errors Error messages of the invalid values.
+ */
+
+/**
+ * Declarative command line options.
+ * The values are read from the command line, the environment variables and a JSON configuration file,
+ * then validated and merged into a configuration object. The help text is generated from the declarations.
+ */
+export default class OptionSchema {
+  /**
+   * Sources of the option values.
+   * @property
+   * @public
+   * @static
+   * @readonly
+   * @type {typeof Source}
+   */
+  static get SOURCES() {
+    return Source
+  }
+
+  /**
+   * Option declarations, in the order of the help text.
+   * @property
+   * @public
+   * @readonly
+   * @type {OptionDefinition[]}
+   */
+  options
+
+  /**
+   * Prefix of the environment variables.
+   * @property
+   * @public
+   * @readonly
+   * @type {string}
+   */
+  prefix
+
+  /**
+   * Construct a new instance.
+   * @param {OptionDefinition[]} options Option declarations, in the order of the help text.
+   * @param {string} prefix Prefix of the environment variables, like 'APP_'.
+   */
+  constructor(options, prefix) {
+    this.options = options
+    this.prefix = prefix
+  }
+
+  /**
+   * Name of the environment variable of an option: '--max-size' gives 'PREFIX_MAX_SIZE'.
+   * @param {OptionDefinition} option Option declaration.
+   * @returns {string} Environment variable name.
+   */
+  envName(option) {
+    return this.prefix + option.name.toUpperCase().replace(/-/g, '_')
+  }
+
+  /**
+   * Parse the command line arguments: '--name value', '--name=value', '-a value' or '--flag'.
+   * @param {string[]} args Command line arguments.
+   * @returns {ParsedValues} The values and the errors.
+   */
+  parseArgs(args) {
+    const result = { values: new Map(), errors: [] }
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i]
+      const equal = arg.startsWith('--') ? arg.indexOf('=') : -1
+      const name = equal === -1 ? arg : arg.substring(0, equal)
+      const option = this._find(Source.ARGS, o => name === `--${o.name}` || name === `-${o.alias}`)
+      if (option === undefined) {
+        result.errors.push(`Invalid arg: ${arg}`)
+      } else if (equal !== -1) {
+        this._set(result, option, arg.substring(equal + 1), name)
+      } else if (option.type === 'boolean') {
+        this._set(result, option, true, name)
+      } else if (i + 1 < args.length) {
+        this._set(result, option, args[++i], name)
+      } else {
+        result.errors.push(`${name} requires a value`)
+      }
+    }
+    return result
+  }
+
+  /**
+   * Parse the environment variables of the options, the empty ones are ignored.
+   * @param {NodeJS.ProcessEnv} env Environment variables.
+   * @returns {ParsedValues} The values and the errors.
+   */
+  parseEnv(env) {
+    const result = { values: new Map(), errors: [] }
+    for (const option of this.options) {
+      const name = this.envName(option)
+      if (this._allows(option, Source.ENV) && env[name] !== undefined && env[name] !== '') {
+        this._set(result, option, env[name], name)
+      }
+    }
+    return result
+  }
+
+  /**
+   * Parse the content of a configuration file: an object of option values by camel case name.
+   * @param {unknown} object Parsed JSON.
+   * @param {string} filename Configuration filename for the error messages.
+   * @returns {ParsedValues} The values and the errors.
+   */
+  parseObject(object, filename) {
+    const result = { values: new Map(), errors: [] }
+    if (object === null || typeof object !== 'object' || Array.isArray(object)) {
+      result.errors.push(`${filename} should contain a JSON object`)
+      return result
+    }
+    for (const [key, value] of Object.entries(object)) {
+      const option = this._find(Source.FILE, o => toCamelCase(o.name) === key)
+      if (option === undefined) {
+        result.errors.push(`Unknown option ${key} in ${filename}`)
+      } else {
+        this._set(result, option, value, `${key} of ${filename}`)
+      }
+    }
+    return result
+  }
+
+  /**
+   * Read the configuration from all the sources.
+   * The configuration file is given by the 'config' option of the command line or of the environment.
+   * The command line overrides the environment, which overrides the configuration file.
+   * @param {string[]} args Command line arguments.
+   * @param {NodeJS.ProcessEnv} env Environment variables.
+   * @returns {Promise<{ config: object, errors: string[] }>} The merged configuration and the errors of the sources.
+   */
+  async load(args, env) {
+    const fromArgs = this.parseArgs(args)
+    const fromEnv = this.parseEnv(env)
+    const option = this.options.find(o => o.name === CONFIG_OPTION)
+    const filename = fromArgs.values.get(option) ?? fromEnv.values.get(option)
+    let fromFile = { values: new Map(), errors: [] }
+    if (filename !== undefined) {
+      try {
+        fromFile = this.parseObject(JSON.parse(await fs.readFile(filename, 'utf-8')), filename)
+      } catch (error) {
+        fromFile.errors.push(`Cannot read the configuration file ${filename}: ${error.message}`)
+      }
+    }
+    return {
+      config: this.toConfig(new Map([...fromFile.values, ...fromEnv.values, ...fromArgs.values])),
+      errors: [...fromFile.errors, ...fromEnv.errors, ...fromArgs.errors],
+    }
+  }
+
+  /**
+   * Build the configuration object: each value is stored at the key of its option.
+   * @param {Map<OptionDefinition, unknown>} values Valid values by option.
+   * @returns {object} The configuration.
+   */
+  toConfig(values) {
+    const config = {}
+    for (const [option, value] of values) {
+      const keys = (option.key ?? toCamelCase(option.name)).split('.')
+      const last = keys.pop()
+      let object = config
+      for (const key of keys) {
+        object = object[key] = object[key] ?? {}
+      }
+      object[last] = option.transform === undefined ? value : option.transform(value)
+    }
+    return config
+  }
+
+  /**
+   * Generate the help text.
+   * @param {string} prgm Program name.
+   * @returns {string[]} Lines of the help text.
+   */
+  usage(prgm) {
+    const rows = this.options.map(o => [
+      (o.alias === undefined ? '    ' : `-${o.alias}, `) + `--${o.name}`
+        + (o.type === 'boolean' ? '' : ` ${o.arg ?? (o.type === 'enum' ? o.values.join('|') : o.type.toUpperCase())}`),
+      o.description + (o.default === undefined ? '' : ` (default: ${o.default})`),
+    ])
+    const width = Math.max(...rows.map(([names]) => names.length)) + 2
+    const example = this.options.find(o => o.name.includes('-')) ?? this.options[0]
+    return [
+      `Usage: ${prgm} [OPTION]...`,
+      ...rows.map(([names, description]) => `  ${names.padEnd(width)}${description}`),
+      '',
+      `An option can also be set by an environment variable (${this.envName(example)} for --${example.name})`,
+      `or by a key of the JSON configuration file (${toCamelCase(example.name)}).`,
+      'The command line overrides the environment, which overrides the configuration file.',
+    ]
+  }
+
+  /**
+   * Find the option allowed for a source which matches a predicate.
+   * @protected
+   * @param {string} source Source of the value.
+   * @param {(option: OptionDefinition) => boolean} predicate Predicate of the option.
+   * @returns {OptionDefinition|undefined} The option or undefined if there is none.
+   */
+  _find(source, predicate) {
+    return this.options.find(o => this._allows(o, source) && predicate(o))
+  }
+
+  /**
+   * Test if an option can be set by a source.
+   * @protected
+   * @param {OptionDefinition} option Option declaration.
+   * @param {string} source Source of the value.
+   * @returns {boolean} true if the source is allowed, otherwise false.
+   */
+  _allows(option, source) {
+    return option.sources === undefined || option.sources.includes(source)
+  }
+
+  /**
+   * Validate a value and store it, or report the error.
+   * @protected
+   * @param {ParsedValues} result Values and errors of the source.
+   * @param {OptionDefinition} option Option declaration.
+   * @param {unknown} value Value to validate.
+   * @param {string} origin Name of the value for the error message.
+   * @returns {void}
+   */
+  _set(result, option, value, origin) {
+    const parsed = parseValue(option, value)
+    if (parsed === undefined) {
+      result.errors.push(`${origin} should be ${expected(option)}`)
+    } else {
+      result.values.set(option, parsed)
+    }
+  }
+}
@@ -0,0 +1,238 @@
+import * as fs from 'fs/promises'
+import { Writable } from 'stream'
+import { defaultValues } from './util.mjs'
+
+/**
+ * Period of a date by rotation interval, the file is rotated when the period changes.
+ */
+const PERIODS = {
+  hourly: date => `${date.toDateString()} ${date.getHours()}`,
+  daily: date => date.toDateString(),
+}
+
+/**
+ * Rotation options.
+ * @typedef RotatingFileOptions
+ * @property {number} maxSize Size in bytes from which the file is rotated.
+ * @property {'hourly'|'daily'|null} interval Rotate the file when the hour or the day changes, or never.
+ * @property {number} keep Number of rotated files kept: 'file.1' is the most recent and 'file.<keep>' the oldest.
+ */
+
+/**
+ * File opened in append mode which is rotated by size or by time.
+ * The writes are serialized by the stream, so the rotation never interleaves with a write.
+ */
+export default class RotatingFile extends Writable {
+  /**
+   * Supported rotation intervals.
+   * @property
+   * @public
+   * @static
+   * @readonly
+   * @type {string[]}
+   */
+  static get INTERVALS() {
+    return Object.keys(PERIODS)
+  }
+
+  /**
+   * Merge the given rotation options with the defaults: no rotation, 5 kept files.
+   * @param {Partial<RotatingFileOptions>} [options] Rotation options.
+   * @returns {RotatingFileOptions} The rotation options merged with the defaults.
+   */
+  static getOptions(options) {
+    return defaultValues([
+      { key: 'maxSize', d: Infinity },
+      { key: 'interval', d: null },
+      { key: 'keep', d: 5 },
+    ], { ...options })
+  }
+
+  /**
+   * File pathname.
+   * @property
+   * @public
+   * @readonly
+   * @type {string}
+   */
+  path
+
+  /**
+   * Rotation options.
+   * @property
+   * @public
+   * @readonly
+   * @type {RotatingFileOptions}
+   */
+  options
+
+  /**
+   * Open a file to append.
+   * @param {string} pathname File pathname.
+   * @param {Partial<RotatingFileOptions>} [options] Rotation options.
+   */
+  constructor(pathname, options) {
+    super()
+    this.path = pathname
+    this.options = RotatingFile.getOptions(options)
+  }
+
+  /**
+   * Close and open the file again before the next write, after it has been moved by an external tool.
+   * @returns {void}
+   */
+  reopen() {
+    this._reopen = true
+  }
+
+  /**
+   * Open the file, then emit 'ready' like the file streams.
+   * @protected
+   * @param {(err?: Error) => void} callback Call when the file is opened.
+   * @returns {void}
+   */
+  _construct(callback) {
+    this._open().then(() => {
+      callback()
+      this.emit('ready')
+    }, callback)
+  }
+
+  /**
+   * Append a chunk to the file, rotate it or open it again before if required.
+   * @protected
+   * @param {Buffer} chunk Chunk to write.
+   * @param {string} encoding Chunk encoding.
+   * @param {(err?: Error) => void} callback Call when the chunk is written.
+   * @returns {void}
+   */
+  _write(chunk, encoding, callback) {
+    this._prepare(chunk.length)
+      .then(() => this._handle.write(chunk))
+      .then(() => {
+        this._size += chunk.length
+        callback()
+      }, callback)
+  }
+
+  /**
+   * Close the file.
+   * @protected
+   * @param {(err?: Error) => void} callback Call when the file is closed.
+   * @returns {void}
+   */
+  _final(callback) {
+    this._handle.close().then(() => callback(), callback)
+  }
+
+  /**
+   * Close the file on error.
+   * @protected
+   * @param {Error|null} error Error which destroys the stream.
+   * @param {(err?: Error) => void} callback Call when the file is closed.
+   * @returns {void}
+   */
+  _destroy(error, callback) {
+    const handle = this._handle
+    this._handle = null
+    if (handle === null) {
+      callback(error)
+      return
+    }
+    handle.close().then(() => callback(error), () => callback(error))
+  }
+
+  /**
+   * Open the file, its size and its last modification give the state of the rotation.
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _open() {
+    this._handle = await fs.open(this.path, 'a')
+    const stats = await this._handle.stat()
+    this._size = stats.size
+    this._period = this._periodOf(stats.size === 0 ? new Date() : stats.mtime)
+  }
+
+  /**
+   * Open the file again or rotate it before a write.
+   * @protected
+   * @param {number} length Length of the next write.
+   * @returns {Promise<void>}
+   */
+  async _prepare(length) {
+    if (this._reopen) {
+      this._reopen = false
+      await this._handle.close()
+      await this._open()
+    }
+    const period = this._periodOf(new Date())
+    if (this._size > 0 && (this._size + length > this.options.maxSize || period !== this._period)) {
+      await this._rotate()
+    }
+  }
+
+  /**
+   * Shift the rotated files, the oldest one is overwritten, then open a new file.
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _rotate() {
+    await this._handle.close()
+    if (this.options.keep === 0) {
+      await fs.rm(this.path, { force: true })
+    }
+    for (let i = this.options.keep; i > 0; i--) {
+      try {
+        await fs.rename(i === 1 ? this.path : `${this.path}.${i - 1}`, `${this.path}.${i}`)
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error
+        }
+      }
+    }
+    await this._open()
+  }
+
+  /**
+   * Rotation period of a date.
+   * @protected
+   * @param {Date} date Date.
+   * @returns {string|null} The period or null if the file is not rotated by time.
+   */
+  _periodOf(date) {
+    return this.options.interval === null ? null : PERIODS[this.options.interval](date)
+  }
+
+  /**
+   * Handle of the open file.
+   * @property
+   * @protected
+   * @type {import('fs/promises').FileHandle|null}
+   */
+  _handle = null
+
+  /**
+   * Size of the file in bytes.
+   * @property
+   * @protected
+   * @type {number}
+   */
+  _size = 0
+
+  /**
+   * Rotation period of the content of the file.
+   * @property
+   * @protected
+   * @type {string|null}
+   */
+  _period = null
+
+  /**
+   * Open the file again before the next write.
+   * @property
+   * @protected
+   * @type {boolean}
+   */
+  _reopen = false
+}
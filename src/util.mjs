@@ -1,4 +1,6 @@
+import { randomBytes } from 'crypto'
 import * as fs from 'fs/promises'
+import * as path from 'path'
 import { constants as fsConstants } from 'fs'
 
 /**
@@ -117,18 +119,298 @@ export function* splitBuffer(buf, sep, start = 0) {
 }
 
 /**
- * Move a file in two step:
- *  1. Copy the source file to the destination.
- *  2. Remove the source file.
- * @param {import('fs').PathLike} src A path to the source file.
- * @param {import('fs').PathLike} dest A path to the destination file.
- * @param {boolean} [overwrite] Indicate if the source can overwrite the destination.
+ * Characters to escape in HTML and their entities.
+ */
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+}
+
+/**
+ * Escape a string to be inserted into HTML text or attribute value.
+ * @param {string} str String to escape.
+ * @returns {string} Escaped string.
+ */
+export function escapeHtml(str) {
+  return str.replace(/[&<>"']/g, c => HTML_ENTITIES[c])
+}
+
+/**
+ * Format a size in bytes with binary prefixes.
+ * @param {number} size Size in bytes.
+ * @returns {string} Human-readable size, like '1.5 KiB'.
+ */
+export function formatSize(size) {
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB']
+  let i = 0
+  while (size >= 1024 && i < units.length - 1) {
+    size /= 1024
+    i++
+  }
+  return i === 0 ? `${size} ${units[i]}` : `${size.toFixed(1)} ${units[i]}`
+}
+
+/**
+ * Multipliers of the size suffixes.
+ */
+const SIZE_UNITS = {
+  '': 1,
+  'k': 1024,
+  'm': 1024 ** 2,
+  'g': 1024 ** 3,
+  't': 1024 ** 4,
+}
+
+/**
+ * Parse a size in bytes with an optional binary suffix: '512', '10K', '1.5M', '2G'.
+ * @param {string} str Size to parse.
+ * @returns {number} Size in bytes or NaN if the string is not a size.
+ */
+export function parseSize(str) {
+  const matchs = /^\s*(\d+(?:\.\d+)?)\s*([kmgt]?)(?:i?b)?\s*$/i.exec(str ?? '')
+  return matchs === null ? NaN : Math.floor(parseFloat(matchs[1]) * SIZE_UNITS[matchs[2].toLowerCase()])
+}
+
+/**
+ * Quality of a media type in the 'accept' header.
+ * @param {string|undefined} accept HTTP 'accept' header.
+ * @param {string} type Media type.
+ * @returns {number} The quality between 0 and 1.
+ */
+export function acceptQuality(accept, type) {
+  const [main] = type.split('/')
+  let quality = 0
+  let specificity = -1
+  for (const element of (accept ?? '').split(',')) {
+    const [range, ...params] = element.split(';').map(p => p.trim().toLowerCase())
+    const current = range === type ? 2 : range === `${main}/*` ? 1 : range === '*/*' ? 0 : -1
+    if (current > specificity) {
+      const q = params.find(p => p.startsWith('q='))
+      specificity = current
+      quality = q === undefined ? 1 : parseFloat(q.substring(2)) || 0
+    }
+  }
+  return quality
+}
+
+/**
+ * Number of bytes of a chunk given to the 'write' or 'end' method of a stream.
+ * @param {unknown} chunk Written chunk, or the callback if there is none.
+ * @param {unknown} [encoding] Encoding of a string chunk, or the callback.
+ * @returns {number} Number of bytes.
+ */
+export function byteLength(chunk, encoding) {
+  if (typeof chunk === 'string') {
+    return Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf-8')
+  }
+  return chunk?.byteLength ?? 0
+}
+
+/**
+ * Decode an URI component without throwing on malformed sequences.
+ * @param {string} str Encoded URI component.
+ * @returns {string} Decoded URI component or the given string if it is malformed.
+ */
+export function tryDecodeURIComponent(str) {
+  try {
+    return decodeURIComponent(str)
+  } catch (error) {
+    return str
+  }
+}
+
+/**
+ * Name of the directory of the served directory where the uploads are staged before they are published.
+ * It is on the filesystem of the served files, so they are published with a rename, and it is never served.
+ */
+export const STAGING_DIRNAME = '.node-simple-http-server'
+
+/**
+ * Test if a path is the staging directory of a served directory or inside it.
+ * The name is compared without case for the case-insensitive filesystems.
+ * @param {string} root Absolute path of the served directory.
+ * @param {string} pathname Absolute path to test.
+ * @returns {boolean} true if the path is staged, otherwise false.
+ */
+export function isStaging(root, pathname) {
+  return path.relative(root, pathname).split(path.sep)[0].toLowerCase() === STAGING_DIRNAME
+}
+
+/**
+ * Create the staging directory of a served directory if it does not exist.
+ * @param {string} root Absolute path of the served directory.
+ * @returns {Promise<string>} Absolute path of the staging directory.
+ */
+export async function makeStagingDir(root) {
+  const dir = path.join(root, STAGING_DIRNAME)
+  await fs.mkdir(dir, { recursive: true })
+  return dir
+}
+
+/**
+ * Resolve an URL pathname inside a root directory.
+ * The pathname is decoded and normalized, then it must stay inside the root directory, out of its staging directory.
+ * @param {string} root Absolute path of the root directory.
+ * @param {string} urlPathname Encoded URL pathname.
+ * @returns {string|null} Absolute path to the file or null if the pathname escapes the root directory
+ * or is staged.
+ */
+export function resolvePathname(root, urlPathname) {
+  let decoded
+  try {
+    decoded = decodeURIComponent(urlPathname)
+  } catch (error) {
+    return null
+  }
+  if (decoded.includes('\0')) {
+    return null
+  }
+  const pathname = path.join(root, decoded)
+  const relative = path.relative(root, pathname)
+  if (relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative)
+    || isStaging(root, pathname)) {
+    return null
+  }
+  return pathname
+}
+
+/**
+ * Policies when a file is moved to an existing destination.
+ */
+export const Conflict = {
+  /** Fail with an EEXIST error. */
+  REJECT: 'reject',
+  /** Replace the destination. */
+  OVERWRITE: 'overwrite',
+  /** Add the first free number to the name: 'name (1).ext'. */
+  RENAME: 'rename',
+}
+
+/**
+ * Error codes of a hard link on a filesystem which does not support them, like FUSE, SMB or vfat mounts.
+ */
+const LINK_UNSUPPORTED = new Set(['EPERM', 'ENOTSUP', 'EOPNOTSUPP'])
+
+/**
+ * Create a file with the content of another one, without replacing an existing file.
+ * @param {string} src A path to the source file.
+ * @param {string} dest A path to the destination file.
  * @returns {Promise<void>}
- * @throws An EEXIST error if the parameter overwrite is true and the destination file exists.
+ * @throws An EEXIST error if the destination exists.
+ */
+async function linkExclusive(src, dest) {
+  try {
+    await fs.link(src, dest)
+    return
+  } catch (error) {
+    if (!LINK_UNSUPPORTED.has(error.code)) {
+      throw error
+    }
+  }
+  // Without hard links, the readers may see a partial file while it is copied
+  try {
+    await fs.copyFile(src, dest, fsConstants.COPYFILE_EXCL)
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      await fs.rm(dest, { force: true })
+    }
+    throw error
+  }
+}
+
+/**
+ * Publish a file of the destination filesystem under its final name.
+ * The destination is replaced by a rename, otherwise the file is hard linked, or copied if the filesystem
+ * does not support the hard links: unlike rename, they do not replace a file created meanwhile.
+ * @param {string} src A path to the source file.
+ * @param {string} dest A path to the destination file.
+ * @param {string} conflict Policy if the destination exists.
+ * @returns {Promise<string>} Pathname of the published file.
+ * @throws An EEXIST error if the destination exists and the conflict policy is REJECT.
+ */
+async function publishFile(src, dest, conflict) {
+  if (conflict === Conflict.OVERWRITE) {
+    await fs.rename(src, dest)
+    return dest
+  }
+  const { dir, name, ext } = path.parse(dest)
+  for (let i = 0; ; i++) {
+    const pathname = i === 0 ? dest : path.join(dir, `${name} (${i})${ext}`)
+    try {
+      await linkExclusive(src, pathname)
+      await fs.rm(src)
+      return pathname
+    } catch (error) {
+      if (error.code !== 'EEXIST' || conflict !== Conflict.RENAME) {
+        throw error
+      }
+    }
+  }
+}
+
+/**
+ * Move a file atomically: the readers see the whole destination file or nothing.
+ * The file is renamed on the same filesystem. Across filesystems, it is first copied next to the destination,
+ * under a short name so a long filename still fits.
+ * @param {string} src A path to the source file.
+ * @param {string} dest A path to the destination file.
+ * @param {string} [conflict] Policy if the destination exists, see {@link Conflict}.
+ * @returns {Promise<string>} Pathname of the moved file, it differs from the destination if the file is renamed.
+ * @throws An EEXIST error if the destination exists and the conflict policy is REJECT.
  */
-export async function moveFile(src, dest, overwrite = false) {
-  await fs.copyFile(src, dest, overwrite ? fsConstants.COPYFILE_EXCL : undefined)
-  await fs.rm(src)
+export async function moveFile(src, dest, conflict = Conflict.REJECT) {
+  try {
+    return await publishFile(src, dest, conflict)
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error
+    }
+  }
+  const tmp = path.join(path.dirname(dest), `.${randomBytes(8).toString('hex')}.part`)
+  try {
+    await fs.copyFile(src, tmp, fsConstants.COPYFILE_EXCL)
+    const pathname = await publishFile(tmp, dest, conflict)
+    await fs.rm(src)
+    return pathname
+  } finally {
+    await fs.rm(tmp, { force: true })
+  }
+}
+
+/**
+ * Remove the temporary files left in a staging directory by the uploads of a stopped or crashed server.
+ * Only the entries of the staging directory are removed, nothing else of the served directory.
+ * @param {string} dir Absolute path of the staging directory.
+ * @param {number} before Only remove the entries modified before this time in milliseconds,
+ * so the uploads in progress are kept.
+ * @returns {Promise<number>} The number of removed entries.
+ */
+export async function removeTemporaryFiles(dir, before) {
+  let names
+  try {
+    names = await fs.readdir(dir)
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0
+    }
+    throw error
+  }
+  let count = 0
+  for (const name of names) {
+    const pathname = path.join(dir, name)
+    try {
+      if ((await fs.lstat(pathname)).mtimeMs < before) {
+        await fs.rm(pathname, { recursive: true })
+        count++
+      }
+    } catch (error) {
+      // Published or removed meanwhile
+    }
+  }
+  return count
 }
 
 /**
@@ -0,0 +1,462 @@
+import { randomBytes } from 'crypto'
+import * as fs from 'fs/promises'
+import * as path from 'path'
+import HttpCache from './http/http-cache.mjs'
+import { USER } from './http/http-auth.mjs'
+import {
+  escapeHtml,
+  isStaging,
+  makeStagingDir,
+  resolvePathname,
+  STAT_FILTER,
+  tryDecodeURIComponent,
+} from './util.mjs'
+
+/**
+ * Namespace of the WebDAV properties.
+ */
+const DAV_NAMESPACE = 'DAV:'
+
+/**
+ * Maximum size of a PROPFIND request body.
+ */
+const MAX_BODY_SIZE = 64 * 1024
+
+/**
+ * Regular expression of the 'User-Agent' of the WebDAV clients: Windows, macOS, davfs2, GNOME, KDE,
+ * and the usual synchronization and transfer tools.
+ */
+const REG_EXP_CLIENT = /webdav|davfs|gvfs|\bneon\b|\bkio\b|davx5|cyberduck|rclone|winscp|litmus/i
+
+/**
+ * Headers which only the WebDAV clients send.
+ */
+const CLIENT_HEADERS = ['depth', 'if', 'lock-token', 'translate']
+
+/**
+ * Live properties of a resource by name.
+ * @type {Object<string, (resource: Resource) => string|null>}
+ */
+const PROPERTIES = {
+  'displayname': r => escapeHtml(r.name),
+  'creationdate': r => r.stats.birthtime.toISOString(),
+  'getlastmodified': r => r.stats.mtime.toUTCString(),
+  'getetag': r => r.stats.isDirectory() ? null : escapeHtml(HttpCache.fromStats(r.stats).etag),
+  'getcontentlength': r => r.stats.isDirectory() ? null : r.stats.size.toString(),
+  'getcontenttype': r => r.contentType === null ? null : escapeHtml(r.contentType),
+  'resourcetype': r => r.stats.isDirectory() ? '<D:collection/>' : '',
+}
+
+/**
+ * Resource of a PROPFIND response.
+ * @typedef Resource
+ * @property {string} href Encoded URL path, with a trailing slash for a directory.
+ * @property {string} name File name.
+ * @property {import('fs').Stats} stats File stats.
+ * @property {string|null} contentType Content type of a file or null for a directory.
+ */
+
+/**
+ * Requested property.
+ * @typedef PropertyName
+ * @property {string} namespace XML namespace.
+ * @property {string} name Local name.
+ */
+
+/**
+ * Requested properties of a PROPFIND request.
+ * @typedef PropfindRequest
+ * @property {'allprop'|'propname'|'prop'} type Request type.
+ * @property {PropertyName[]} props Requested properties if the type is 'prop'.
+ */
+
+/**
+ * Test if a path is a directory or inside it.
+ * @param {string} dir Absolute path of the directory.
+ * @param {string} pathname Absolute path to test.
+ * @returns {boolean} true if the path is the directory or one of its descendants, otherwise false.
+ */
+function contains(dir, pathname) {
+  const relative = path.relative(dir, pathname)
+  return relative !== '..' && !relative.startsWith('..' + path.sep) && !path.isAbsolute(relative)
+}
+
+/**
+ * Read the body of a request.
+ * @param {import('http').IncomingMessage} req HTTP request.
+ * @returns {Promise<string|null>} The body or null if it is too large.
+ */
+async function readBody(req) {
+  const chunks = []
+  let size = 0
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size > MAX_BODY_SIZE) {
+      return null
+    }
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks).toString('utf-8')
+}
+
+/**
+ * Parse a PROPFIND request body.
+ * Only the elements are read, which is enough for the 'propfind' element of RFC 4918.
+ * @param {string} body Request body, empty for 'allprop'.
+ * @returns {PropfindRequest|null} Requested properties or null if the body is malformed.
+ */
+function parsePropfind(body) {
+  if (body.trim() === '') {
+    return { type: 'allprop', props: [] }
+  }
+  const namespaces = { '': '' }
+  for (const [, prefix = '', uri] of body.matchAll(/xmlns(?::([\w.-]+))?\s*=\s*["']([^"']*)["']/g)) {
+    namespaces[prefix] = uri
+  }
+  // Neither the closing tags nor the declarations match
+  const elements = [...body.matchAll(/<([\w.-]+:)?([\w.-]+)[^>]*>/g)]
+    .map(([, prefix = '', name]) => ({ namespace: namespaces[prefix.slice(0, -1)] ?? '', name }))
+  const type = elements.find(e => e.namespace === DAV_NAMESPACE && ['allprop', 'propname', 'prop'].includes(e.name))
+  if (elements[0]?.namespace !== DAV_NAMESPACE || elements[0].name !== 'propfind' || type === undefined) {
+    return null
+  }
+  return {
+    type: type.name,
+    props: type.name === 'prop' ? elements.slice(elements.indexOf(type) + 1) : [],
+  }
+}
+
+/**
+ * Build the 'response' element of a resource.
+ * @param {Resource} resource Resource.
+ * @param {PropfindRequest} request Requested properties.
+ * @returns {string} XML element.
+ */
+function responseXml(resource, request) {
+  const found = []
+  const missing = []
+  const props = request.type === 'prop'
+    ? request.props
+    : Object.keys(PROPERTIES).map(name => ({ namespace: DAV_NAMESPACE, name }))
+  for (const { namespace, name } of props) {
+    const value = namespace === DAV_NAMESPACE ? PROPERTIES[name]?.(resource) ?? null : null
+    const tag = namespace === DAV_NAMESPACE ? `D:${name}` : `X:${name} xmlns:X="${escapeHtml(namespace)}"`
+    if (value === null) {
+      if (request.type === 'prop') {
+        missing.push(`<${tag}/>`)
+      }
+    } else {
+      found.push(request.type === 'propname' || value === '' ? `<${tag}/>` : `<${tag}>${value}</${tag.split(' ')[0]}>`)
+    }
+  }
+  const propstat = (status, elements) => elements.length === 0 ? ''
+    : `<D:propstat><D:prop>${elements.join('')}</D:prop><D:status>HTTP/1.1 ${status}</D:status></D:propstat>`
+  return `<D:response><D:href>${escapeHtml(resource.href)}</D:href>`
+    + propstat('200 OK', found)
+    + propstat('404 Not Found', missing)
+    + '</D:response>'
+}
+
+/**
+ * Class 1 WebDAV methods (RFC 4918), so the served directory can be mounted as a network drive.
+ * GET, HEAD, PUT and DELETE are the usual handlers of the server.
+ */
+export default class WebDav {
+  /**
+   * Test if a request comes from a WebDAV client, by its WebDAV headers or its 'User-Agent'.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @returns {boolean} true if the client is a WebDAV one, otherwise false.
+   */
+  static isClient(req) {
+    return CLIENT_HEADERS.some(h => req.headers[h] !== undefined)
+      || REG_EXP_CLIENT.test(req.headers['user-agent'] ?? '')
+  }
+
+  /**
+   * Construct a new instance.
+   * @param {string} root Absolute path of the served directory.
+   * @param {import('./mime-types.mjs').default} mimeTypes MIME types to find the type of the files.
+   * @param {import('./http/http-auth.mjs').default|null} [auth] Authentication to check the write access of the destinations.
+   */
+  constructor(root, mimeTypes, auth = null) {
+    this._root = root
+    this._mimeTypes = mimeTypes
+    this._auth = auth
+  }
+
+  /**
+   * PROPFIND: properties of a file, or of a directory and its entries with 'Depth: 1'.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @param {import('../index.mjs').HeaderInfo} info Requested file information.
+   * @returns {Promise<void>}
+   */
+  async propfind(req, res, { url, pathname, stats }) {
+    if (pathname === null) {
+      res.writeHead(403)
+      return
+    }
+    if (stats === null) {
+      res.writeHead(404)
+      return
+    }
+    const depth = (req.headers.depth ?? 'infinity').trim().toLowerCase()
+    if (depth !== '0' && depth !== '1') {
+      res.writeHead(403, { 'Content-Type': 'application/xml; charset=utf-8' })
+      res.write('<?xml version="1.0" encoding="utf-8"?>\n<D:error xmlns:D="DAV:"><D:propfind-finite-depth/></D:error>')
+      return
+    }
+    const body = await readBody(req)
+    const request = body === null ? null : parsePropfind(body)
+    if (request === null) {
+      res.writeHead(body === null ? 413 : 400)
+      return
+    }
+    const href = url.pathname.replace(/\/*$/, stats.isDirectory() ? '/' : '')
+    const resources = [await this._resource(href, pathname, stats)]
+    if (depth === '1' && stats.isDirectory()) {
+      for (const dirent of await fs.readdir(pathname, { withFileTypes: true })) {
+        if (!STAT_FILTER(dirent)) {
+          continue
+        }
+        const child = path.join(pathname, dirent.name)
+        const childUrl = `${tryDecodeURIComponent(url.pathname).replace(/\/*$/, '')}/${dirent.name}`
+        if (isStaging(this._root, child)
+          || (this._auth !== null && !this._auth.isAllowed(req[USER] ?? null, childUrl, false))) {
+          // Hidden like in the directory listings
+          continue
+        }
+        try {
+          const childStats = await fs.stat(child)
+          const childHref = href + encodeURIComponent(dirent.name) + (childStats.isDirectory() ? '/' : '')
+          resources.push(await this._resource(childHref, child, childStats))
+        } catch (error) {
+          // Removed since readdir
+        }
+      }
+    }
+    res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' })
+    res.write('<?xml version="1.0" encoding="utf-8"?>\n<D:multistatus xmlns:D="DAV:">'
+      + resources.map(r => responseXml(r, request)).join('\n')
+      + '</D:multistatus>')
+  }
+
+  /**
+   * MKCOL: create a directory.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @param {import('../index.mjs').HeaderInfo} info Requested file information.
+   * @returns {Promise<void>}
+   */
+  async mkcol(req, res, { pathname, stats }) {
+    if (pathname === null) {
+      res.writeHead(403)
+      return
+    }
+    const body = await readBody(req)
+    if (body !== '') {
+      res.writeHead(415)
+      return
+    }
+    if (stats !== null) {
+      res.writeHead(405)
+      return
+    }
+    try {
+      await fs.mkdir(pathname)
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        throw error
+      }
+      // The parent directory does not exist
+      res.writeHead(409)
+      return
+    }
+    res.writeHead(201)
+  }
+
+  /**
+   * COPY: copy a file, or a directory with its content unless 'Depth: 0', to the 'Destination' URL.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @param {import('../index.mjs').HeaderInfo} info Requested file information.
+   * @returns {Promise<void>}
+   */
+  async copy(req, res, info) {
+    await this._transfer(req, res, info, async (src, dest, stats) => {
+      if (stats.isDirectory() && (req.headers.depth ?? '').trim() === '0') {
+        await fs.mkdir(dest)
+      } else {
+        await fs.cp(src, dest, { recursive: true, errorOnExist: true, force: false })
+      }
+    })
+  }
+
+  /**
+   * MOVE: move a file or a directory to the 'Destination' URL.
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @param {import('../index.mjs').HeaderInfo} info Requested file information.
+   * @returns {Promise<void>}
+   */
+  async move(req, res, info) {
+    await this._transfer(req, res, info, async (src, dest) => {
+      try {
+        await fs.rename(src, dest)
+      } catch (error) {
+        if (error.code !== 'EXDEV') {
+          throw error
+        }
+        // Different file systems
+        await fs.cp(src, dest, { recursive: true, errorOnExist: true, force: false })
+        await fs.rm(src, { recursive: true })
+      }
+      this._mimeTypes.forget(src)
+    })
+  }
+
+  /**
+   * Check a COPY or MOVE request, then transfer the file.
+   * An existing destination is set aside during the transfer, then removed if it succeeds or restored if it fails.
+   * Answer 201 if the destination is created and 204 if it is replaced.
+   * @protected
+   * @param {import('http').IncomingMessage} req HTTP request.
+   * @param {import('http').ServerResponse} res HTTP response.
+   * @param {import('../index.mjs').HeaderInfo} info Requested file information.
+   * @param {(src: string, dest: string, stats: import('fs').Stats) => Promise<void>} transfer Transfer the file.
+   * @returns {Promise<void>}
+   */
+  async _transfer(req, res, { url, pathname, stats }, transfer) {
+    if (pathname === null) {
+      res.writeHead(403)
+      return
+    }
+    if (stats === null) {
+      res.writeHead(404)
+      return
+    }
+    let destUrl
+    try {
+      destUrl = new URL(req.headers.destination, 'http://localhost')
+    } catch (error) {
+      res.writeHead(400)
+      return
+    }
+    const resolved = req.headers.destination === undefined ? null : resolvePathname(this._root, destUrl.pathname)
+    if (resolved === null) {
+      res.writeHead(req.headers.destination === undefined ? 400 : 403)
+      return
+    }
+    const dest = path.resolve(resolved)
+    const user = req[USER] ?? null
+    if (contains(pathname, dest) || contains(dest, pathname)
+      || (this._auth !== null && !this._auth.isAllowed(user, tryDecodeURIComponent(destUrl.pathname), true))
+      || (this._auth !== null && stats.isDirectory()
+        && !this._auth.isTreeAllowed(user, tryDecodeURIComponent(url.pathname), req.method === 'MOVE'))) {
+      // Same file, destination inside the source or containing it, write access denied
+      // or directory whose content is not fully readable (COPY) or writable (MOVE)
+      res.writeHead(403)
+      return
+    }
+    let exists = true
+    try {
+      await fs.stat(dest)
+    } catch (error) {
+      exists = false
+    }
+    let aside = null
+    if (exists) {
+      if ((req.headers.overwrite ?? 'T').trim().toUpperCase() === 'F') {
+        res.writeHead(412)
+        return
+      }
+      aside = await this._setAside(dest)
+    }
+    try {
+      await transfer(pathname, dest, stats)
+    } catch (error) {
+      if (aside !== null) {
+        await fs.rm(dest, { recursive: true, force: true })
+        await fs.rename(aside, dest)
+      }
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        throw error
+      }
+      // The parent directory of the destination does not exist
+      res.writeHead(409)
+      return
+    }
+    if (aside !== null) {
+      await fs.rm(aside, { recursive: true })
+      this._mimeTypes.forget(dest)
+    }
+    res.writeHead(exists ? 204 : 201)
+  }
+
+  /**
+   * Move an existing destination to the staging directory, so a failed transfer can restore it.
+   * @protected
+   * @param {string} dest Absolute path of the destination.
+   * @returns {Promise<string>} Absolute path of the destination set aside.
+   */
+  async _setAside(dest) {
+    const name = randomBytes(8).toString('hex')
+    const aside = path.join(await makeStagingDir(this._root), name)
+    try {
+      await fs.rename(dest, aside)
+      return aside
+    } catch (error) {
+      if (error.code !== 'EXDEV') {
+        throw error
+      }
+    }
+    // Another filesystem mounted into the served directory, the destination stays on it
+    const sibling = path.join(path.dirname(dest), `.${name}.part`)
+    await fs.rename(dest, sibling)
+    return sibling
+  }
+
+  /**
+   * Build the resource of a file.
+   * @protected
+   * @param {string} href Encoded URL path.
+   * @param {string} pathname Absolute path of the file.
+   * @param {import('fs').Stats} stats File stats.
+   * @returns {Promise<Resource>} The resource.
+   */
+  async _resource(href, pathname, stats) {
+    return {
+      href,
+      name: path.basename(pathname),
+      stats,
+      contentType: stats.isDirectory() ? null : await this._mimeTypes.contentType(pathname),
+    }
+  }
+
+  /**
+   * Absolute path of the served directory.
+   * @property
+   * @protected
+   * @readonly
+   * @type {string}
+   */
+  _root
+
+  /**
+   * MIME types to find the type of the files.
+   * @property
+   * @protected
+   * @readonly
+   * @type {import('./mime-types.mjs').default}
+   */
+  _mimeTypes
+
+  /**
+   * Authentication to check the write access of the destinations.
+   * @property
+   * @protected
+   * @readonly
+   * @type {import('./http/http-auth.mjs').default|null}
+   */
+  _auth
+}